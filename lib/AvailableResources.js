@@ -0,0 +1,131 @@
+const assert = require('assert');
+
+function minIndex(items, compare) {
+    let index = 0;
+    for (let i = 1; i < items.length; i++) {
+        if (compare(items[i], items[index]) < 0) {
+            index = i;
+        }
+    }
+    return index;
+}
+
+// each selector returns the index of the resource to hand out, resources are never empty
+const SELECTORS = {
+    lifo: resources => resources.length - 1,
+    fifo: () => 0,
+    lru: (resources, getMeta) => minIndex(resources, (a, b) => getMeta(a).lastUsedAt - getMeta(b).lastUsedAt),
+    'least-used': (resources, getMeta) => minIndex(resources, (a, b) => getMeta(a).uses - getMeta(b).uses),
+    random: resources => Math.floor(Math.random() * resources.length),
+};
+const STRATEGIES = Object.keys(SELECTORS);
+
+/**
+ * Resources available for borrowing, ordered from the least to the most recently added.
+ * The strategy decides which one is handed out next.
+ *
+ * @param {string|function} [strategy = 'lifo']
+ *      One of `lifo`, `fifo`, `lru`, `least-used`, `random`, a comparator `function(a, b):number` taking
+ *      the first candidate in the sort order, or a selector `function(candidates):number` returning the index
+ *      of the candidate. A function declaring exactly two parameters (`fn.length === 2`) is a comparator.
+ *      Candidates are objects `{resource, id, createdAt, lastUsedAt, uses}`.
+ * @param {function(resource:*):Object} getMeta
+ *      Returns the metadata of a resource.
+ */
+class AvailableResources {
+    constructor(strategy, getMeta) {
+        strategy = strategy || 'lifo';
+        assert.ok(
+            typeof strategy === 'function' || STRATEGIES.includes(strategy),
+            `options.strategy must be a function or one of ${STRATEGIES.join(', ')}`,
+        );
+        this._strategy = strategy;
+        this._getMeta = getMeta;
+        this._resources = [];
+    }
+
+    /**
+     * @return {number}
+     *      Returns number of available resources
+     */
+    get size() {
+        return this._resources.length;
+    }
+
+    /**
+     * @param {*} resource
+     */
+    add(resource) {
+        this._resources.push(resource);
+    }
+
+    /**
+     * @param {*} resource
+     * @return {boolean}
+     *      Returns true if the resource was available
+     */
+    delete(resource) {
+        const index = this._resources.indexOf(resource);
+        if (index === -1) {
+            return false;
+        }
+        this._resources.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * @param {*} [preferred]
+     *      Resource to take instead of the one selected by the strategy if it is available.
+     * @return {*}
+     *      Removes and returns the resource selected by the strategy, undefined if there are no resources
+     */
+    take(preferred) {
+        if (!this._resources.length) {
+            return undefined;
+        }
+        if (preferred !== undefined && this.delete(preferred)) {
+            return preferred;
+        }
+        const index = this._select();
+        assert.ok(
+            Number.isInteger(index) && index >= 0 && index < this._resources.length,
+            'options.strategy must select one of the candidates',
+        );
+        return this._resources.splice(index, 1)[0];
+    }
+
+    /**
+     * @return {Array}
+     *      Returns a copy of the available resources from the least to the most recently added
+     */
+    toArray() {
+        return this._resources.slice(0);
+    }
+
+    _select() {
+        if (typeof this._strategy !== 'function') {
+            return SELECTORS[this._strategy](this._resources, this._getMeta);
+        }
+        const candidates = this._resources.map((resource) => {
+            const {
+                id,
+                createdAt,
+                lastUsedAt,
+                uses,
+            } = this._getMeta(resource);
+            return {
+                resource,
+                id,
+                createdAt,
+                lastUsedAt,
+                uses,
+            };
+        });
+        if (this._strategy.length === 2) {
+            return minIndex(candidates, this._strategy);
+        }
+        return this._strategy(candidates);
+    }
+}
+
+module.exports = AvailableResources;
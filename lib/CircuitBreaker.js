@@ -0,0 +1,116 @@
+const EventEmitter = require('events');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+/**
+ * Circuit breaker guarding resource creation
+ *
+ * @param {Object} [options]
+ * @param {number} [options.failureThreshold = 5]
+ *      Number of failures which opens the circuit.
+ * @param {number} [options.windowMs = 0]
+ *      If set, failures are counted within a sliding window of this many milliseconds regardless of the successes
+ *      in between. Otherwise only consecutive failures are counted.
+ * @param {number} [options.resetTimeoutMs = 10000]
+ *      Milliseconds the circuit stays open before a single trial request is let through (half-open state).
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this._options = {
+            failureThreshold: options.failureThreshold || 5,
+            windowMs: options.windowMs || 0,
+            resetTimeoutMs: options.resetTimeoutMs || 10000,
+        };
+
+        this._state = CLOSED;
+        this._failures = [];
+        this._openedAt = 0;
+        this._trialInFlight = false;
+        this._lastError = null;
+    }
+
+    /**
+     * @return {string}
+     *      Returns "closed", "open" or "half-open"
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * @return {Error|null}
+     *      Returns the last recorded failure
+     */
+    get lastError() {
+        return this._lastError;
+    }
+
+    /**
+     * Check whether a request may be attempted. In the half-open state only one trial request is allowed.
+     *
+     * @returns {boolean}
+     */
+    tryRequest() {
+        if (this._state === OPEN && Date.now() - this._openedAt >= this._options.resetTimeoutMs) {
+            this._setState(HALF_OPEN);
+        }
+        if (this._state === CLOSED) {
+            return true;
+        }
+        if (this._state === HALF_OPEN && !this._trialInFlight) {
+            this._trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this._trialInFlight = false;
+        if (!this._options.windowMs || this._state !== CLOSED) {
+            // within a window failures keep counting regardless of the successes in between, until the circuit closes
+            this._failures = [];
+        }
+        if (this._state !== CLOSED) {
+            this._setState(CLOSED);
+        }
+    }
+
+    /**
+     * @param {Error} err
+     */
+    recordFailure(err) {
+        const now = Date.now();
+        this._lastError = err;
+        this._trialInFlight = false;
+        if (this._state === HALF_OPEN) {
+            this._open(now);
+            return;
+        }
+        this._failures.push(now);
+        if (this._options.windowMs) {
+            this._failures = this._failures.filter(time => now - time < this._options.windowMs);
+        }
+        if (this._state === CLOSED && this._failures.length >= this._options.failureThreshold) {
+            this._open(now);
+        }
+    }
+
+    _open(now) {
+        this._failures = [];
+        this._openedAt = now;
+        this._setState(OPEN);
+    }
+
+    _setState(state) {
+        this._state = state;
+        this.emit(state);
+    }
+}
+
+module.exports = CircuitBreaker;
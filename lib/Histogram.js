@@ -0,0 +1,43 @@
+const DEFAULT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Cumulative histogram of observed values
+ *
+ * @param {number[]} [buckets]
+ *      Upper bounds of the buckets in ascending order. Defaults to a millisecond scale from 1 to 10000.
+ */
+class Histogram {
+    constructor(buckets) {
+        this._buckets = (buckets || DEFAULT_BUCKETS).slice(0).sort((a, b) => a - b);
+        this._counts = new Array(this._buckets.length).fill(0);
+        this._sum = 0;
+        this._count = 0;
+    }
+
+    /**
+     * @param {number} value
+     */
+    observe(value) {
+        for (let i = 0; i < this._buckets.length; i++) {
+            if (value <= this._buckets[i]) {
+                this._counts[i]++;
+            }
+        }
+        this._sum += value;
+        this._count++;
+    }
+
+    /**
+     * @return {{buckets: Array<{le: number, count: number}>, sum: number, count: number}}
+     *      Returns cumulative bucket counts, the sum and the number of observed values
+     */
+    snapshot() {
+        return {
+            buckets: this._buckets.map((le, i) => ({ le, count: this._counts[i] })),
+            sum: this._sum,
+            count: this._count,
+        };
+    }
+}
+
+module.exports = Histogram;
@@ -0,0 +1,273 @@
+const asyncEach = require('async/each');
+const asyncify = require('async/asyncify');
+const { promisify } = require('util');
+const assert = require('assert');
+const Pool = require('./Pool');
+const { PoolEndedError, NotBorrowedError } = require('./errors');
+
+/**
+ * A pool of resource pools, one per key (e.g. a database shard or a tenant)
+ *
+ * @param {Object} options
+ *      Accepts the options of {@link Pool}, `min`, `max` and the other limits apply to each key separately.
+ * @param {function} options.acquire
+ *      The function that acquires a resource for the key passed as the first argument.
+ *      Accepts the key and a node-style callback, callback returning a promise or callback returning a value.
+ * @param {number} [options.maxTotal = 0]
+ *      Maximum number of resources across all keys. Idle resources of other keys are disposed to make room
+ *      for a new resource when the limit is reached. 0 disables the limit.
+ * @param {number} [options.keyIdleTimeoutMs = 0]
+ *      Milliseconds after which a pool of a key which has no borrowed resources is ended and removed.
+ *      Pools without any resources are removed regardless. Removal happens lazily on the next acquire call.
+ */
+class KeyedPool {
+    constructor(options) {
+        assert.equal(typeof options, 'object', 'options must be an object');
+        assert.equal(typeof options.acquire, 'function', 'options.acquire must be a function');
+        assert.equal(typeof options.dispose, 'function', 'options.dispose must be a function');
+
+        const poolOptions = Object.assign({}, options);
+        delete poolOptions.maxTotal;
+        delete poolOptions.keyIdleTimeoutMs;
+
+        this._factory = {
+            acquire: options.acquire.length === 2 ? options.acquire : asyncify(options.acquire),
+            dispose: options.dispose.length === 2 ? options.dispose : asyncify(options.dispose),
+        };
+
+        this._options = {
+            maxTotal: options.maxTotal || 0,
+            keyIdleTimeoutMs: options.keyIdleTimeoutMs || 0,
+            pool: poolOptions,
+        };
+
+        this._pools = new Map();
+        this._outstanding = new Map();
+        this._lastUsedAt = new Map();
+        this._creating = 0;
+        this._parkedCreates = [];
+        this._ending = false;
+        this._ended = false;
+    }
+
+    /**
+     * @return {number}
+     *      Returns number of resources across all keys regardless of whether they are free or in use
+     */
+    get size() {
+        let size = 0;
+        this._pools.forEach((pool) => {
+            size += pool.size;
+        });
+        return size;
+    }
+
+    get stats() {
+        const stats = {
+            keys: this._pools.size,
+            size: 0,
+            available: 0,
+            borrowed: 0,
+            pending: 0,
+        };
+        this._pools.forEach((pool) => {
+            stats.size += pool.size;
+            stats.available += pool.available;
+            stats.borrowed += pool.borrowed;
+            stats.pending += pool.pending;
+        });
+        return stats;
+    }
+
+    /**
+     * Acquire a resource for the key.
+     *
+     * @param {*} key
+     * @param {Object} [options]
+     *      The same options as for {@link Pool#acquire}.
+     * @param {function(err, resource:*)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    acquire(key, options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = {};
+        }
+        if (typeof cb !== 'function') {
+            return this.acquireAsync(key, options || {});
+        }
+        if (this._ending || this._ended) {
+            return cb(new PoolEndedError(this._ended));
+        }
+        this._sweep();
+        const pool = this._getPool(key);
+        this._outstanding.set(key, (this._outstanding.get(key) || 0) + 1);
+        this._lastUsedAt.set(key, Date.now());
+        pool.acquire(options, (err, resource) => {
+            this._outstanding.set(key, this._outstanding.get(key) - 1);
+            if (err) {
+                this._dropParkedCreates(key, err);
+            }
+            cb(err, resource);
+        });
+    }
+
+    /**
+     * Return a resource to the pool of the key.
+     *
+     * @param {*} key
+     * @param {*} resource
+     * @param {function(err)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    release(key, resource, cb) {
+        if (typeof cb !== 'function') {
+            return this.releaseAsync(key, resource);
+        }
+        const pool = this._pools.get(key);
+        if (!pool) {
+            return cb(new NotBorrowedError(resource));
+        }
+        this._lastUsedAt.set(key, Date.now());
+        pool.release(resource, (err) => {
+            if (this._parkedCreates.length) {
+                // the released resource may be idle now, make room for the parked creates
+                this._evictIdle();
+            }
+            cb(err);
+        });
+    }
+
+    /**
+     * Remove a resource from the pool of the key gracefully.
+     *
+     * @param {*} key
+     * @param {*} resource
+     * @param {function(err)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    destroy(key, resource, cb) {
+        if (typeof cb !== 'function') {
+            return this.destroyAsync(key, resource);
+        }
+        const pool = this._pools.get(key);
+        if (!pool) {
+            return cb();
+        }
+        pool.destroy(resource, cb);
+    }
+
+    /**
+     * Attempt to gracefully close the pools of all keys.
+     *
+     * @param {boolean|Object} [options]
+     *      The same options as for {@link Pool#end}.
+     * @param {function(err)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    end(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = false;
+        }
+        if (typeof cb !== 'function') {
+            return this.endAsync(options);
+        }
+        if (this._ended) {
+            return cb(new PoolEndedError(true));
+        }
+        this._ending = true;
+        const pools = Array.from(this._pools.values());
+        asyncEach(pools, (pool, c) => pool.end(options, c), (err) => {
+            this._pools.clear();
+            this._ending = false;
+            this._ended = true;
+            cb(err);
+        });
+    }
+
+    _getPool(key) {
+        let pool = this._pools.get(key);
+        if (!pool) {
+            pool = new Pool(Object.assign({}, this._options.pool, {
+                acquire: cb => this._createResource(key, cb),
+                dispose: (resource, cb) => this._disposeResource(resource, cb),
+            }));
+            this._pools.set(key, pool);
+        }
+        return pool;
+    }
+
+    _createResource(key, cb) {
+        if (this._options.maxTotal && this.size + this._creating >= this._options.maxTotal) {
+            // wait until a resource of any key is disposed, evicting an idle one to speed it up
+            this._parkedCreates.push({ key, cb });
+            this._evictIdle();
+            return;
+        }
+        this._creating++;
+        this._factory.acquire(key, (err, resource) => {
+            this._creating--;
+            if (err) {
+                this._wakeParkedCreate();
+            }
+            cb(err, resource);
+        });
+    }
+
+    _disposeResource(resource, cb) {
+        this._factory.dispose(resource, (err) => {
+            cb(err);
+            this._wakeParkedCreate();
+        });
+    }
+
+    _wakeParkedCreate() {
+        if (this._parkedCreates.length) {
+            const { key, cb } = this._parkedCreates.shift();
+            this._createResource(key, cb);
+        }
+    }
+
+    _dropParkedCreates(key, err) {
+        // creates parked for acquire calls which have failed in the meantime (e.g. timed out) aren't needed anymore
+        const parked = this._parkedCreates.filter(entry => entry.key === key);
+        const surplus = parked.slice(0, Math.max(parked.length - this._outstanding.get(key), 0));
+        this._parkedCreates = this._parkedCreates.filter(entry => !surplus.includes(entry));
+        surplus.forEach(entry => entry.cb(err));
+    }
+
+    _evictIdle() {
+        const pools = Array.from(this._pools.values());
+        for (let i = 0; i < pools.length; i++) {
+            if (pools[i]._evictAvailable()) {
+                return;
+            }
+        }
+    }
+
+    _sweep() {
+        const now = Date.now();
+        const { keyIdleTimeoutMs } = this._options;
+        this._pools.forEach((pool, key) => {
+            const isIdle = keyIdleTimeoutMs && now - this._lastUsedAt.get(key) >= keyIdleTimeoutMs;
+            if (!this._outstanding.get(key) && !pool.borrowed && (!pool.size || isIdle)) {
+                this._pools.delete(key);
+                this._outstanding.delete(key);
+                this._lastUsedAt.delete(key);
+                pool.end(() => {});
+            }
+        });
+    }
+}
+
+KeyedPool.prototype.acquireAsync = promisify(KeyedPool.prototype.acquire);
+KeyedPool.prototype.releaseAsync = promisify(KeyedPool.prototype.release);
+KeyedPool.prototype.destroyAsync = promisify(KeyedPool.prototype.destroy);
+KeyedPool.prototype.endAsync = promisify(KeyedPool.prototype.end);
+
+module.exports = KeyedPool;
@@ -0,0 +1,80 @@
+const { InvalidLeaseError } = require('./errors');
+
+const asyncDispose = Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose');
+
+/**
+ * A borrowed resource handed out by {@link Pool#acquire} when the `wrapResources` option is set.
+ * The lease is bound to a single borrow of the resource, it becomes invalid once the resource is released
+ * or destroyed in any way and using it afterwards throws {@link InvalidLeaseError}.
+ *
+ * @param {Pool} pool
+ * @param {*} resource
+ */
+class Lease {
+    constructor(pool, resource) {
+        this._pool = pool;
+        this._resource = resource;
+        // the release function of the borrow is unique to it, so a later borrow of the same resource doesn't match
+        this._borrow = pool._rBorrowed.get(resource);
+    }
+
+    /**
+     * @return {*}
+     *      Returns the leased resource
+     */
+    get resource() {
+        this._assertValid();
+        return this._resource;
+    }
+
+    /**
+     * @return {boolean}
+     *      Returns false once the resource has been released or destroyed
+     */
+    get valid() {
+        return this._borrow !== null && this._pool._rBorrowed.get(this._resource) === this._borrow;
+    }
+
+    /**
+     * Return the resource to the pool. See {@link Pool#release}.
+     *
+     * @param {function(err)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    release(cb) {
+        this._assertValid();
+        this._borrow = null;
+        return this._pool.release(this._resource, cb);
+    }
+
+    /**
+     * Remove the resource from the pool. See {@link Pool#destroy}.
+     *
+     * @param {function(err)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    destroy(cb) {
+        this._assertValid();
+        this._borrow = null;
+        return this._pool.destroy(this._resource, cb);
+    }
+
+    /**
+     * Release the resource unless the lease is already invalid, so the lease can be used with `await using`.
+     *
+     * @returns {Promise}
+     */
+    [asyncDispose]() {
+        return this.valid ? this.release() : Promise.resolve();
+    }
+
+    _assertValid() {
+        if (!this.valid) {
+            throw new InvalidLeaseError();
+        }
+    }
+}
+
+module.exports = Lease;
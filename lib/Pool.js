@@ -1,10 +1,33 @@
-const asyncQueue = require('async/queue');
+const asyncPriorityQueue = require('async/priorityQueue');
 const asyncEach = require('async/each');
 const asyncify = require('async/asyncify');
-const timeout = require('async/timeout');
 const { promisify, inspect } = require('util');
 const assert = require('assert');
 const EventEmitter = require('events');
+const CircuitBreaker = require('./CircuitBreaker');
+const Histogram = require('./Histogram');
+const PrometheusExporter = require('./PrometheusExporter');
+const Lease = require('./Lease');
+const AvailableResources = require('./AvailableResources');
+const PoolTransform = require('./PoolTransform');
+const errors = require('./errors');
+const { startSpan, endSpan, bindScope } = require('./tracing');
+
+const {
+    PoolEndedError,
+    QueueFullError,
+    AcquireTimeoutError,
+    ReleaseTimeoutError,
+    NotBorrowedError,
+    FactoryError,
+    PoolUnavailableError,
+    AbortError,
+    EndTimeoutError,
+    PoolExhaustedError,
+    PoolOverloadedError,
+} = errors;
+
+const asyncDispose = Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose');
 
 inspect.defaultOptions.colors = true;
 inspect.defaultOptions.depth = 0;
@@ -20,6 +43,40 @@ function assertUnknownOptionsKeys(options, knownKeys) {
     }
 }
 
+function getIterator(iterable) {
+    if (iterable && typeof iterable[Symbol.asyncIterator] === 'function') {
+        return iterable[Symbol.asyncIterator]();
+    }
+    assert.ok(iterable && typeof iterable[Symbol.iterator] === 'function', 'iterable must be an (async) iterable');
+    return iterable[Symbol.iterator]();
+}
+
+function timeoutCallback(cb, ms, createError) {
+    let timer = setTimeout(() => {
+        timer = null;
+        cb(createError());
+    }, ms);
+    return (...args) => {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+            cb(...args);
+        }
+    };
+}
+
+function settleWaiter(waiter, err, resource) {
+    const cb = waiter.callback;
+    if (cb) {
+        waiter.callback = null;
+        clearTimeout(waiter.timer);
+        if (waiter.signal) {
+            waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+        cb(err, resource);
+    }
+}
+
 /**
  * A pool object
  *
@@ -31,19 +88,130 @@ function assertUnknownOptionsKeys(options, knownKeys) {
  *      The function that disposes a resource (e.g. gracefully closes a database connection) on behalf of the pool.
  *      Accepts the resource to dispose of, which is the same object returned by the acquire function
  *      and a node-style callback, callback returning a promise or callback returning a value.
+ * @param {function} [options.validate]
+ *      The function that checks whether a resource is still usable (e.g. pings a database connection).
+ *      Accepts the resource to validate and a node-style callback, callback returning a promise or callback
+ *      returning a value. A falsy result or an error marks the resource as invalid.
+ * @param {boolean} [options.testOnBorrow = false]
+ *      If true available resources are validated before being handed out. Invalid resources are destroyed
+ *      and replaced transparently.
+ * @param {boolean} [options.testOnReturn = false]
+ *      If true resources are validated when released. Invalid resources are destroyed instead of being
+ *      returned to the pool.
  * @param {number} [options.min = 0]
- *      Minimum number of resources to keep in pool at any given time.
+ *      Minimum number of resources to keep in pool at any given time. The pool creates them in the background
+ *      right after construction and tops itself back up whenever destroyed resources drop its size below `min`.
  * @param {number} [options.max = 1]
  *      Maximum number of resources to create at any given time.
- * @param {number} [options.maxWaitingClients = 10]
+ * @param {number} [options.maxConcurrentCreates = 0]
+ *      Maximum number of resources being created at once, so a burst of acquire calls against an empty pool
+ *      doesn't open `max` connections at the same moment. Requests waiting for their turn take resources
+ *      released in the meantime. 0 disables the limit.
+ * @param {number} [options.maxCreateRate = 0]
+ *      Maximum number of resource creations started per second, spread evenly. 0 disables the limit.
+ * @param {number|number[]} [options.maxWaitingClients = 10]
  *      Maximum number of queued requests allowed, additional acquire calls will be callback with an error.
+ *      An array sets the limit for each priority level separately.
+ * @param {number} [options.maxQueueWaitMs = 0]
+ *      Max milliseconds the oldest queued request may have been waiting for new acquire calls to be accepted.
+ *      While the queue is older, acquire calls are rejected with {@link PoolOverloadedError}, as they couldn't
+ *      be served within any useful time anyway. 0 disables the limit.
+ * @param {number} [options.queueWaitIntervalMs = 0]
+ *      If set, acquire calls are rejected only once requests have been waiting longer than `maxQueueWaitMs`
+ *      for at least this many milliseconds, tolerating short bursts (the CoDel algorithm approach).
+ * @param {number} [options.priorityLevels = 1]
+ *      Number of priority levels of the wait queue. Requests with a higher priority (lower number, 0 is the highest)
+ *      are served first, requests with the same priority are served in order.
  * @param {number} [options.acquireTimeoutMs = 30000]
  *      Max milliseconds an acquire call will wait for a resource acquiring before timing out.
  * @param {number} [options.releaseTimeoutMs = 30000]
  *      Max milliseconds an release call will wait for a resource disposing before timing out.
+ * @param {number} [options.idleTimeoutMs = 0]
+ *      Milliseconds a resource may sit unused in the pool before it becomes eligible for eviction.
+ *      Resources are never evicted below `min`. 0 disables idle eviction.
+ * @param {number} [options.evictionRunIntervalMs = 1000]
+ *      Milliseconds between runs of the background evictor.
+ * @param {number} [options.numTestsPerEvictionRun = 3]
+ *      Maximum number of idle resources to check on each eviction run.
+ * @param {number} [options.maxLifetimeMs = 0]
+ *      Max milliseconds a resource may live after it has been acquired by the factory. Expired resources
+ *      are disposed instead of being handed out or returned to the pool. 0 disables the limit.
+ * @param {number} [options.maxLifetimeJitterMs = 0]
+ *      Random amount of up to this many milliseconds added to each resource lifetime, so that resources
+ *      created together are not recycled at the same moment.
+ * @param {number} [options.maxUses = 0]
+ *      Max number of times a resource may be borrowed before it is disposed. 0 disables the limit.
+ * @param {function(err):boolean} [options.destroyOnError]
+ *      Predicate deciding whether an error thrown by a {@link Pool#use} callback means the resource is broken
+ *      (e.g. connection reset). Matching resources are destroyed instead of being released.
+ * @param {number} [options.leakDetectionThresholdMs = 0]
+ *      Milliseconds a resource may stay borrowed before the pool reports it as leaked with the `leak` event.
+ *      The stack trace of the acquire call is captured while either leak option is set. 0 disables leak detection.
+ * @param {number} [options.reclaimLeakedAfterMs = 0]
+ *      Milliseconds after which a borrowed resource is forcibly destroyed and replaced. 0 disables reclaiming.
+ * @param {number} [options.acquireRetries = 0]
+ *      Number of times a failed resource creation is retried before the error is passed to the acquire call.
+ *      Retries happen with exponential backoff and only while they fit into the `acquireTimeoutMs` of the caller.
+ * @param {number} [options.acquireRetryBaseDelayMs = 100]
+ *      Delay before the first retry, doubled on every next one.
+ * @param {number} [options.acquireRetryMaxDelayMs = 5000]
+ *      Max delay between retries.
+ * @param {number} [options.acquireRetryJitter = 0]
+ *      Fraction (from 0 to 1) of each delay which is randomized to spread retries of concurrent callers.
+ * @param {function(err):boolean} [options.acquireRetryIf]
+ *      Predicate selecting retryable creation errors. All errors are retried by default.
+ * @param {boolean|Object} [options.circuitBreaker = false]
+ *      Enables a circuit breaker around resource creation. While the circuit is open, acquire calls which need
+ *      a new resource fail fast with {@link PoolUnavailableError}. Accepts `true` or the options
+ *      of {@link CircuitBreaker}.
+ * @param {string|function} [options.strategy = 'lifo']
+ *      Which of the available resources is handed out next:
+ *      `lifo` - the most recently released one, keeping the rest idle so they can be evicted,
+ *      `fifo` - the least recently released one, spreading the load evenly (round-robin),
+ *      `lru` - the least recently used one,
+ *      `least-used` - the one borrowed the fewest times,
+ *      `random` - any of them.
+ *      Accepts a comparator `function(a, b):number`, the first candidate in its sort order is handed out,
+ *      or a selector `function(candidates):number` returning the index of the candidate to hand out.
+ *      The two are told apart by `fn.length`: a comparator must declare exactly two parameters, a selector any other
+ *      number (`fn.length` stops at the first parameter with a default value and leaves out rest parameters).
+ *      Candidates are objects `{resource, id, createdAt, lastUsedAt, uses}` ordered
+ *      from the least to the most recently released. An acquire call fails with the error thrown by the function,
+ *      or with an assertion error if the selected index is out of range.
  * @param {boolean} [options.fifo = false]
- *      If true the oldest resources will be first to be allocated. If false the most recently released
- *      resources will be the first to be allocated.
+ *      Deprecated, `true` is the same as `strategy: 'fifo'`.
+ * @param {number} [options.maxAffinityKeys = 1000]
+ *      Maximum number of `affinityKey` values remembered. The least recently used key is forgotten first.
+ * @param {boolean} [options.wrapResources = false]
+ *      If true {@link Pool#acquire} yields a {@link Lease} instead of the resource. Unlike the resource, a lease
+ *      can't be released twice or release the resource once it has been borrowed again by another caller.
+ * @param {string} [options.name = 'iampool']
+ *      Name of the pool reported in the `pool.name` attribute of tracing spans.
+ * @param {Object} [options.tracer]
+ *      Tracer with the OpenTelemetry `Tracer` shape (e.g. `trace.getTracer('app')`). If set the pool creates spans
+ *      for acquire calls, factory acquire and dispose calls and the pool ending. The factory is called within
+ *      the context of the acquire call it creates a resource for.
+ *
+ * @fires Pool#ready
+ * @fires Pool#evict
+ * @fires Pool#leak
+ * @fires Pool#acquireRetry
+ * @fires Pool#circuitOpen
+ * @fires Pool#circuitClose
+ * @fires Pool#resize
+ * @fires Pool#createRequest
+ * @fires Pool#create
+ * @fires Pool#createFail
+ * @fires Pool#acquireRequest
+ * @fires Pool#acquire
+ * @fires Pool#release
+ * @fires Pool#destroy
+ * @fires Pool#dispose
+ * @fires Pool#disposeFail
+ * @fires Pool#acquireTimeout
+ * @fires Pool#queueFull
+ * @fires Pool#ending
+ * @fires Pool#loadShed
  */
 class Pool extends EventEmitter {
     constructor(options) {
@@ -52,58 +220,197 @@ class Pool extends EventEmitter {
         assert.equal(typeof options, 'object', 'options must be an object');
         assert.equal(typeof options.acquire, 'function', 'options.acquire must be a function');
         assert.equal(typeof options.dispose, 'function', 'options.dispose must be a function');
+        if (options.validate !== undefined) {
+            assert.equal(typeof options.validate, 'function', 'options.validate must be a function');
+        }
         assertUnknownOptionsKeys(options, [
             'acquire',
             'dispose',
+            'validate',
+            'testOnBorrow',
+            'testOnReturn',
             'min',
             'max',
+            'maxConcurrentCreates',
+            'maxCreateRate',
             'maxWaitingClients',
+            'maxQueueWaitMs',
+            'queueWaitIntervalMs',
+            'priorityLevels',
             'acquireTimeoutMs',
             'releaseTimeoutMs',
+            'idleTimeoutMs',
+            'evictionRunIntervalMs',
+            'numTestsPerEvictionRun',
+            'maxLifetimeMs',
+            'maxLifetimeJitterMs',
+            'maxUses',
+            'destroyOnError',
+            'leakDetectionThresholdMs',
+            'reclaimLeakedAfterMs',
+            'acquireRetries',
+            'acquireRetryBaseDelayMs',
+            'acquireRetryMaxDelayMs',
+            'acquireRetryJitter',
+            'acquireRetryIf',
+            'circuitBreaker',
+            'strategy',
             'fifo',
+            'maxAffinityKeys',
+            'wrapResources',
+            'name',
+            'tracer',
         ]);
+        if (options.tracer !== undefined) {
+            assert.equal(typeof options.tracer.startSpan, 'function', 'options.tracer must have a startSpan method');
+        }
 
         this._factory = {
             acquire: options.acquire.length === 1 ? options.acquire : asyncify(options.acquire),
             dispose: options.dispose.length === 2 ? options.dispose : asyncify(options.dispose),
         };
+        if (options.validate) {
+            this._factory.validate = options.validate.length === 2 ? options.validate : asyncify(options.validate);
+        }
 
         options = options || {};
 
         this._options = {
             min: options.min || 0,
             max: options.max || 1,
+            maxConcurrentCreates: options.maxConcurrentCreates || 0,
+            maxCreateRate: options.maxCreateRate || 0,
             maxWaitingClients: options.maxWaitingClients || 10,
-            fifo: options.fifo || false,
+            maxQueueWaitMs: options.maxQueueWaitMs || 0,
+            queueWaitIntervalMs: options.queueWaitIntervalMs || 0,
+            priorityLevels: options.priorityLevels || 1,
+            strategy: options.strategy || (options.fifo ? 'fifo' : 'lifo'),
+            maxAffinityKeys: options.maxAffinityKeys || 1000,
+            wrapResources: options.wrapResources || false,
+            testOnBorrow: options.testOnBorrow || false,
+            testOnReturn: options.testOnReturn || false,
 
             acquireTimeoutMs: options.acquireTimeoutMs || 10000,
             releaseTimeoutMs: options.releaseTimeoutMs || 5000,
+
+            idleTimeoutMs: options.idleTimeoutMs || 0,
+            evictionRunIntervalMs: options.evictionRunIntervalMs || 1000,
+            numTestsPerEvictionRun: options.numTestsPerEvictionRun || 3,
+
+            maxLifetimeMs: options.maxLifetimeMs || 0,
+            maxLifetimeJitterMs: options.maxLifetimeJitterMs || 0,
+            maxUses: options.maxUses || 0,
+
+            destroyOnError: options.destroyOnError || (() => false),
+
+            leakDetectionThresholdMs: options.leakDetectionThresholdMs || 0,
+            reclaimLeakedAfterMs: options.reclaimLeakedAfterMs || 0,
+
+            acquireRetries: options.acquireRetries || 0,
+            acquireRetryBaseDelayMs: options.acquireRetryBaseDelayMs || 100,
+            acquireRetryMaxDelayMs: options.acquireRetryMaxDelayMs || 5000,
+            acquireRetryJitter: options.acquireRetryJitter || 0,
+            acquireRetryIf: options.acquireRetryIf || (() => true),
+
+            name: options.name || 'iampool',
         };
+        this._tracer = options.tracer || null;
 
         this._rSet = new Set();
+        this._rMeta = new Map();
         this._rDestroyed = new Map();
         this._rBorrowed = new Map();
-        this._rAvailable = [];
+        this._rAvailable = new AvailableResources(this._options.strategy, resource => this._rMeta.get(resource));
         this._rReleased = [];
+        this._rReleaseWaiting = new Map();
+        this._affinity = new Map();
+        this._rWaiting = [];
+        this._pendingCreates = 0;
+        this._nextCreateAt = 0;
+        this._createTimer = null;
+        // callbacks of the creations waiting to be retried by their backoff timers
+        this._retryTimers = new Map();
+        this._lastResourceId = 0;
+        this._lastRequestId = 0;
+        this._readyCallbacks = [];
+        this._isReady = false;
         this._ending = false;
         this._ended = false;
+        this._endingStartedAt = 0;
+        this._endCallbacks = [];
+        this._directBorrows = 0;
+        this._onEndDrain = () => this._settleEnd();
+        this._evictor = null;
+        this._counters = {
+            created: 0,
+            createFailed: 0,
+            disposed: 0,
+            disposeFailed: 0,
+            acquireTimeouts: 0,
+            validationFailures: 0,
+            affinityHits: 0,
+            affinityMisses: 0,
+            loadShed: 0,
+        };
+        this._histograms = {
+            acquireWaitMs: new Histogram(),
+            borrowDurationMs: new Histogram(),
+        };
 
-        this._queue = asyncQueue(
-            (handler, next) => {
-                this._getResource((err, resource) => {
+        this._breaker = null;
+        if (options.circuitBreaker) {
+            this._breaker = new CircuitBreaker(options.circuitBreaker === true ? {} : options.circuitBreaker);
+            /**
+             * The circuit breaker has opened after too many resource creation failures.
+             *
+             * @event Pool#circuitOpen
+             */
+            this._breaker.on('open', () => this.emit('circuitOpen'));
+            /**
+             * A trial resource creation has succeeded and the circuit breaker has closed.
+             *
+             * @event Pool#circuitClose
+             */
+            this._breaker.on('closed', () => this.emit('circuitClose'));
+        }
+
+        if (Array.isArray(this._options.maxWaitingClients)) {
+            assert.equal(
+                this._options.maxWaitingClients.length,
+                this._options.priorityLevels,
+                'options.maxWaitingClients must have a limit for each priority level',
+            );
+        }
+        this._waitingCounts = new Array(this._options.priorityLevels).fill(0);
+        // queued waiters in the order of arrival regardless of priority, the first one is the oldest
+        this._queuedWaiters = new Set();
+        this._overloadedSince = 0;
+
+        this._queue = asyncPriorityQueue(
+            (waiter, next) => {
+                waiter.queued = false;
+                this._waitingCounts[waiter.priority]--;
+                this._queuedWaiters.delete(waiter);
+                this._trackQueueWait(Date.now() - waiter.enqueuedAt);
+                const deadline = waiter.enqueuedAt + waiter.timeoutMs;
+                const inScope = waiter.scope || (fn => fn());
+                inScope(() => this._getPreferredResource(waiter, deadline, (err, resource) => {
                     if (err) {
-                        handler(err);
+                        settleWaiter(waiter, err);
                         next();
+                    } else if (!waiter.callback) {
+                        // the waiter has gone (timed out or aborted) while the resource was being obtained, return it
+                        this._releaseResource(resource, () => next());
+                    } else if (this._ending) {
+                        // end has been called while the resource was being obtained
+                        settleWaiter(waiter, new PoolEndedError());
+                        this._releaseResource(resource, () => next());
                     } else {
-                        this._rBorrowed.set(resource, (cb) => {
-                            this._releaseResource(resource, (e) => {
-                                cb(e);
-                                next();
-                            });
-                        });
-                        handler(null, resource);
+                        this._lend(resource, waiter, next);
+                        this._emitAcquire(waiter.id, resource, Date.now() - waiter.enqueuedAt);
+                        settleWaiter(waiter, null, resource);
                     }
-                });
+                }));
             },
             this._options.max,
         );
@@ -111,11 +418,11 @@ class Pool extends EventEmitter {
         this._queue.saturated = () => this.emit('saturated');
         this._queue.unsaturated = () => this.emit('unsaturated');
         this._queue.empty = () => this.emit('empty');
-        this._queue.drain = () => this.emit('drain');
+        this._queue.drain = () => this._emitDrain();
         this._queue.error = err => this.emit('error', err);
 
-        this._acquire = timeout(this._acquire.bind(this), this._options.acquireTimeoutMs, 'Acquire timed out');
-        this._release = timeout(this._release.bind(this), this._options.releaseTimeoutMs, 'Release timed out');
+        setImmediate(() => this._ensureMin());
+        this._startEvictor();
     }
 
     /**
@@ -131,7 +438,7 @@ class Pool extends EventEmitter {
      *      Returns number of unused resources in the pool
      */
     get available() {
-        return this._rAvailable.length;
+        return this._rAvailable.size;
     }
 
     /**
@@ -142,56 +449,483 @@ class Pool extends EventEmitter {
         return this._rBorrowed.size;
     }
 
+    /**
+     * @return {number}
+     *      Returns number of acquire calls waiting in the queue
+     */
+    get pending() {
+        return this._queue.length();
+    }
+
+    /**
+     * @return {number}
+     *      Returns milliseconds the oldest queued acquire call has been waiting, 0 if the queue is empty
+     */
+    get queueAge() {
+        if (!this._queuedWaiters.size) {
+            return 0;
+        }
+        return Date.now() - this._queuedWaiters.values().next().value.enqueuedAt;
+    }
+
     get stats() {
         return {
             size: this.size,
             available: this.available,
             borrowed: this.borrowed,
+            pending: this.pending,
+            pendingCreates: this._pendingCreates,
+            queueAge: this.queueAge,
+            circuit: this._breaker ? this._breaker.state : 'closed',
         };
     }
 
+    /**
+     * Take a snapshot of the pool metrics.
+     *
+     * @returns {Object}
+     *      Returns {@link Pool#stats}, resource lifecycle totals and histograms of the acquire wait time
+     *      and of the borrow duration in milliseconds.
+     */
+    metrics() {
+        return Object.assign({}, this.stats, this._counters, {
+            acquireWaitMs: this._histograms.acquireWaitMs.snapshot(),
+            borrowDurationMs: this._histograms.borrowDurationMs.snapshot(),
+        });
+    }
+
+    /**
+     * Change the resource limits of the pool at runtime.
+     * Raising `max` immediately serves queued acquire calls. Lowering it disposes surplus available resources
+     * right away and borrowed ones once they are released.
+     *
+     * @param {Object} limits
+     * @param {number} [limits.min]
+     * @param {number} [limits.max]
+     */
+    resize(limits) {
+        assert.equal(typeof limits, 'object', 'limits must be an object');
+        assertUnknownOptionsKeys(limits, ['min', 'max']);
+        const min = limits.min !== undefined ? limits.min : this._options.min;
+        const max = limits.max !== undefined ? limits.max : this._options.max;
+        assert(Number.isInteger(min) && min >= 0, 'limits.min must be a non-negative integer');
+        assert(Number.isInteger(max) && max >= 1, 'limits.max must be a positive integer');
+        const previous = { min: this._options.min, max: this._options.max };
+
+        this._options.min = min;
+        this._options.max = max;
+        this._queue.concurrency = max - this._directBorrows;
+        this._queue.buffer = max / 4;
+
+        let size = this._rSet.size - this._rDestroyed.size;
+        while (size > max && this._evictAvailable()) {
+            size--;
+        }
+        this._dispatchWaiting();
+        this._queue.process();
+        this._ensureMin();
+
+        /**
+         * The resource limits of the pool have been changed.
+         *
+         * @event Pool#resize
+         * @type {{min: number, max: number, previous: {min: number, max: number}}}
+         */
+        this.emit('resize', { min, max, previous });
+    }
+
+    /**
+     * Wait until the pool has created its initial `min` resources.
+     * Yields the error of a failed warm-up attempt; calling ready again retries the warm-up.
+     * Yields {@link PoolEndedError} once end has been called.
+     *
+     * @param {function(err)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    ready(cb) {
+        if (typeof cb !== 'function') {
+            return this.readyAsync();
+        }
+        if (this._ending || this._ended) {
+            return setImmediate(cb, new PoolEndedError(this._ended));
+        }
+        if (this._isReady) {
+            return setImmediate(cb);
+        }
+        this._readyCallbacks.push(cb);
+        this._ensureMin();
+    }
+
     /**
      * Acquire a resource from the pool.
-     * Calls to acquire after calling end will be rejected with the error "Pool is ending"
-     * or "Pool is destroyed" once shutdown has completed.
+     * Calls to acquire after calling end will be rejected with {@link PoolEndedError} "Pool is ending"
+     * or "Pool is destroyed" once shutdown has completed. Factory failures are wrapped into {@link FactoryError}.
      *
-     * @param {function(err, resource:*)} [cb]
+     * @param {Object} [options]
+     * @param {number} [options.priority = 0]
+     *      Priority level of the request, from 0 (the highest) to `priorityLevels - 1`.
+     * @param {AbortSignal} [options.signal]
+     *      Aborting the signal removes the request from the queue and yields an error named "AbortError".
+     *      A resource obtained for an aborted request is returned to the pool.
+     * @param {*} [options.prefer]
+     *      Resource to hand out if it is available, e.g. the one used by the previous request of a session.
+     * @param {*} [options.affinityKey]
+     *      Hand out the resource last acquired with the same key if it is available, otherwise associate the key
+     *      with the resource handed out.
+     * @param {number} [options.affinityWaitMs = 0]
+     *      Max milliseconds to wait for the preferred resource to be released if it is borrowed, before
+     *      falling back to any other resource.
+     * @param {number} [options.timeoutMs = acquireTimeoutMs]
+     *      Max milliseconds to wait for a resource, overrides the `acquireTimeoutMs` option of the pool.
+     * @param {boolean} [options.noWait = false]
+     *      If true the call fails fast with {@link PoolExhaustedError} instead of queuing, when there are neither
+     *      available resources nor room for a new one. A resource may still be created for the call.
+     * @param {function(err, resource:*|Lease)} [cb]
+     *      Yields a {@link Lease} of the resource if the `wrapResources` option is set.
      * @returns {undefined|Promise}
      *      Returns a promise if callback isn't provided.
      */
-    acquire(cb) {
+    acquire(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
         if (typeof cb !== 'function') {
-            return this.acquireAsync();
+            return this.acquireAsync(options);
         }
+        if (!this._options.wrapResources) {
+            return this._acquireResource(options, cb);
+        }
+        this._acquireResource(options, (err, resource) => (err ? cb(err) : cb(null, new Lease(this, resource))));
+    }
+
+    _acquireResource(options, cb) {
+        assertUnknownOptionsKeys(options, [
+            'priority',
+            'signal',
+            'prefer',
+            'affinityKey',
+            'affinityWaitMs',
+            'timeoutMs',
+            'noWait',
+        ]);
         if (this._ending) {
-            return cb(new Error('Pool is ending'));
+            return cb(new PoolEndedError());
         }
         if (this._ended) {
-            return cb(new Error('Pool is destroyed'));
+            return cb(new PoolEndedError(true));
         }
-        if (this._queue.length() >= this._options.maxWaitingClients) {
-            return cb(new Error(`Max waiting clients count exceeded [${this._options.maxWaitingClients}]`));
+        if (options.signal && options.signal.aborted) {
+            return cb(new AbortError());
         }
-        this._acquire(cb);
+        const priority = Math.min(Math.max(Math.floor(options.priority) || 0, 0), this._options.priorityLevels - 1);
+        const { maxWaitingClients } = this._options;
+        const perLevel = Array.isArray(maxWaitingClients);
+        const limit = perLevel ? maxWaitingClients[priority] : maxWaitingClients;
+        if ((perLevel ? this._waitingCounts[priority] : this._queue.length()) >= limit) {
+            /**
+             * An acquire call has been rejected as the wait queue is full.
+             *
+             * @event Pool#queueFull
+             * @type {{priority: number, limit: number}}
+             */
+            this.emit('queueFull', { priority, limit });
+            return cb(new QueueFullError(limit));
+        }
+        if (this._isOverloaded()) {
+            this._counters.loadShed++;
+            const queueAge = this.queueAge;
+            /**
+             * An acquire call has been rejected as queued requests have been waiting longer than `maxQueueWaitMs`.
+             *
+             * @event Pool#loadShed
+             * @type {{priority: number, queueAge: number}}
+             */
+            this.emit('loadShed', { priority, queueAge });
+            return cb(new PoolOverloadedError(queueAge));
+        }
+        if (options.noWait && !this._canServeNow()) {
+            return cb(new PoolExhaustedError());
+        }
+        if (!this._tracer) {
+            this._acquire(priority, options, cb);
+            return;
+        }
+        startSpan(this._tracer, 'iampool.acquire', this._spanAttributes(), (span) => {
+            this._acquire(priority, options, (err, resource) => {
+                endSpan(span, err, resource && { 'pool.resource.id': this._rMeta.get(resource).id });
+                cb(err, resource);
+            });
+        });
     }
 
-    _acquire(cb) {
-        this._queue.push(cb);
+    _acquire(priority, options, cb) {
+        const waiter = {
+            id: ++this._lastRequestId,
+            callback: cb,
+            priority,
+            queued: true,
+            enqueuedAt: Date.now(),
+            timeoutMs: options.timeoutMs || this._options.acquireTimeoutMs,
+            timer: null,
+            signal: options.signal,
+            onAbort: null,
+            prefer: options.prefer,
+            affinityKey: options.affinityKey,
+            affinityWaitMs: options.affinityWaitMs || 0,
+            preferred: undefined,
+            scope: this._tracer ? bindScope(fn => fn()) : null,
+            stack: this._captureStack(),
+        };
+        waiter.timer = setTimeout(() => {
+            this._dequeueWaiter(waiter);
+            this._counters.acquireTimeouts++;
+            /**
+             * An acquire call has timed out.
+             *
+             * @event Pool#acquireTimeout
+             * @type {{requestId: number, waitMs: number}}
+             */
+            this.emit('acquireTimeout', { requestId: waiter.id, waitMs: Date.now() - waiter.enqueuedAt });
+            settleWaiter(waiter, new AcquireTimeoutError(waiter.timeoutMs));
+        }, waiter.timeoutMs);
+        if (waiter.signal) {
+            waiter.onAbort = () => {
+                this._dequeueWaiter(waiter);
+                settleWaiter(waiter, new AbortError());
+            };
+            waiter.signal.addEventListener('abort', waiter.onAbort);
+        }
+        this._waitingCounts[priority]++;
+        this._queuedWaiters.add(waiter);
+        /**
+         * An acquire call has been queued.
+         *
+         * @event Pool#acquireRequest
+         * @type {{requestId: number, priority: number}}
+         */
+        this.emit('acquireRequest', { requestId: waiter.id, priority });
+        this._queue.push(waiter, priority);
+        return waiter;
+    }
+
+    /**
+     * Take an available resource synchronously without queuing.
+     * Resources aren't validated even if the `testOnBorrow` option is set.
+     *
+     * @param {Object} [options]
+     * @param {*} [options.prefer]
+     *      The same as for {@link Pool#acquire}.
+     * @param {*} [options.affinityKey]
+     *      The same as for {@link Pool#acquire}.
+     * @returns {*|Lease|null}
+     *      Returns the resource, or its {@link Lease} if the `wrapResources` option is set, or null
+     *      if no resource is available or other acquire calls are waiting.
+     */
+    tryAcquire(options) {
+        options = options || {};
+        assertUnknownOptionsKeys(options, ['prefer', 'affinityKey']);
+        if (this._ending || this._ended || !this._canServeNow()) {
+            return null;
+        }
+        const preferred = this._preferredResource(options.prefer, options.affinityKey);
+        let resource = this._rAvailable.take(preferred);
+        while (resource !== undefined && this._isRetired(resource)) {
+            this.destroy(resource, noop);
+            resource = this._rAvailable.take();
+        }
+        if (resource === undefined) {
+            return null;
+        }
+        const requestId = ++this._lastRequestId;
+        this.emit('acquireRequest', { requestId, priority: 0 });
+        // the resource is borrowed past the queue, so it takes one of the queue's slots until it's released
+        this._directBorrows++;
+        this._queue.concurrency--;
+        this._lend(resource, {
+            prefer: options.prefer,
+            affinityKey: options.affinityKey,
+            preferred,
+            stack: this._captureStack(),
+        }, () => {
+            this._directBorrows--;
+            this._queue.concurrency++;
+            if (this._queue.idle()) {
+                this._emitDrain();
+            }
+            this._queue.process();
+        });
+        this._emitAcquire(requestId, resource, 0);
+        if (this._tracer) {
+            startSpan(this._tracer, 'iampool.acquire', this._spanAttributes(), (span) => {
+                endSpan(span, null, { 'pool.resource.id': this._rMeta.get(resource).id });
+            });
+        }
+        return this._options.wrapResources ? new Lease(this, resource) : resource;
+    }
+
+    _emitAcquire(requestId, resource, waitMs) {
+        this._histograms.acquireWaitMs.observe(waitMs);
+        /**
+         * A resource has been handed out to an acquire call.
+         *
+         * @event Pool#acquire
+         * @type {{requestId: number, id: number, resource: *, waitMs: number}}
+         */
+        this.emit('acquire', {
+            requestId,
+            id: this._rMeta.get(resource).id,
+            resource,
+            waitMs,
+        });
+    }
+
+    _lend(resource, borrower, onRelease) {
+        const meta = this._rMeta.get(resource);
+        this._touchResource(resource);
+        meta.uses++;
+        this._watchLeak(resource, borrower.stack);
+        this._rBorrowed.set(resource, (cb) => {
+            const holdMs = Date.now() - meta.borrowedAt;
+            this._histograms.borrowDurationMs.observe(holdMs);
+            /**
+             * A borrowed resource has been released.
+             *
+             * @event Pool#release
+             * @type {{id: number, resource: *, holdMs: number}}
+             */
+            this.emit('release', { id: meta.id, resource, holdMs });
+            this._releaseResource(resource, (e) => {
+                cb(e);
+                onRelease();
+            });
+        });
+        if (borrower.prefer !== undefined || borrower.affinityKey !== undefined) {
+            this._counters[resource === borrower.preferred ? 'affinityHits' : 'affinityMisses']++;
+        }
+        if (borrower.affinityKey !== undefined) {
+            this._associate(borrower.affinityKey, resource);
+        }
+    }
+
+    _captureStack() {
+        const { leakDetectionThresholdMs, reclaimLeakedAfterMs } = this._options;
+        return leakDetectionThresholdMs || reclaimLeakedAfterMs ? new Error('Resource acquired').stack : null;
+    }
+
+    _isIdle() {
+        return this._queue.idle() && !this._directBorrows;
+    }
+
+    _emitDrain() {
+        if (!this._directBorrows) {
+            this.emit('drain');
+        }
+    }
+
+    _trackQueueWait(waitMs) {
+        if (waitMs < this._options.maxQueueWaitMs) {
+            this._overloadedSince = 0;
+        } else if (!this._overloadedSince) {
+            this._overloadedSince = Date.now();
+        }
+    }
+
+    _isOverloaded() {
+        const { maxQueueWaitMs, queueWaitIntervalMs } = this._options;
+        if (!maxQueueWaitMs) {
+            return false;
+        }
+        const queueAge = this.queueAge;
+        if (queueAge < maxQueueWaitMs) {
+            return false;
+        }
+        if (!queueWaitIntervalMs) {
+            return true;
+        }
+        // the oldest waiter counts as well, it might not have been dequeued for longer than the interval
+        this._trackQueueWait(queueAge);
+        return Date.now() - this._overloadedSince >= queueWaitIntervalMs;
+    }
+
+    _canServeNow() {
+        return !this._queue.length()
+            && this._queue.running() < this._queue.concurrency
+            && (this._rAvailable.size > 0 || (this._canCreate() && this._canStartCreate()));
+    }
+
+    _preferredResource(prefer, affinityKey) {
+        return prefer !== undefined ? prefer : this._affinity.get(affinityKey);
+    }
+
+    _dequeueWaiter(waiter) {
+        if (waiter.queued) {
+            waiter.queued = false;
+            this._waitingCounts[waiter.priority]--;
+            this._queuedWaiters.delete(waiter);
+            this._queue.remove(node => node.data === waiter);
+        }
+    }
+
+    /**
+     * Acquire a resource wrapped into a disposable object which can be used with `await using`.
+     *
+     * @param {Object} [options]
+     *      The same options as for {@link Pool#acquire}.
+     * @param {function(err, disposable:{resource:*, release:function, destroy:function})} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise if callback isn't provided.
+     */
+    acquireDisposable(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = {};
+        }
+        if (typeof cb !== 'function') {
+            return this.acquireDisposableAsync(options || {});
+        }
+        this._acquireResource(options || {}, (err, resource) => {
+            if (err) {
+                return cb(err);
+            }
+            let disposed = false;
+            const dispose = method => () => {
+                if (disposed) {
+                    return Promise.resolve();
+                }
+                disposed = true;
+                return method.call(this, resource);
+            };
+            cb(null, {
+                resource,
+                release: dispose(this.releaseAsync),
+                destroy: dispose(this.destroyAsync),
+                [asyncDispose]: dispose(this.releaseAsync),
+            });
+        });
     }
 
     /**
      * Return a resource to the pool.
+     * Yields {@link NotBorrowedError} if the resource isn't borrowed and {@link ReleaseTimeoutError}
+     * if it takes longer than `releaseTimeoutMs`.
      *
-     * @param {*} resource
+     * @param {*|Lease} resource
      * @param {function(err)} [cb]
      * @returns {undefined|Promise}
      *      Returns a promise if callback isn't provided.
      */
     release(resource, cb) {
+        if (resource instanceof Lease) {
+            return resource.release(cb);
+        }
         if (typeof cb !== 'function') {
             return this.releaseAsync(resource);
         }
-        this._release(resource, cb);
+        const { releaseTimeoutMs } = this._options;
+        this._release(resource, timeoutCallback(cb, releaseTimeoutMs, () => new ReleaseTimeoutError(releaseTimeoutMs)));
     }
 
     _release(resource, cb) {
@@ -199,34 +933,71 @@ class Pool extends EventEmitter {
         if (releaseCb) {
             releaseCb(cb);
         } else {
-            return cb(new Error(`Trying to release not acquired resource: ${inspect(resource)}`));
+            return cb(new NotBorrowedError(resource));
         }
     }
 
     /**
      * Remove a resource from the pool gracefully.
      *
-     * @param {*} resource
+     * @param {*|Lease} resource
      * @param {function(err)} [cb]
      * @returns {undefined|Promise}
      *      Returns a promise if callback isn't provided.
      */
     destroy(resource, cb) {
+        if (resource instanceof Lease) {
+            return resource.destroy(cb);
+        }
         if (typeof cb !== 'function') {
             return this.destroyAsync(resource);
         }
         if (this._rSet.has(resource)) {
+            const { id } = this._rMeta.get(resource);
+            /**
+             * A resource is going to be removed from the pool.
+             *
+             * @event Pool#destroy
+             * @type {{id: number, resource: *}}
+             */
+            this.emit('destroy', { id, resource });
             this._rDestroyed.set(resource, (c) => {
-                this._factory.dispose(resource, (err) => {
+                const startedAt = Date.now();
+                const dispose = done => this._factory.dispose(resource, done);
+                this._traceFactory('dispose', { 'pool.resource.id': id }, dispose, (err) => {
+                    const durationMs = Date.now() - startedAt;
+                    this._counters[err ? 'disposeFailed' : 'disposed']++;
                     this._deleteResource(resource);
-                    c(err);
+                    if (err) {
+                        /**
+                         * The dispose factory function has failed. The resource is removed from the pool anyway.
+                         *
+                         * @event Pool#disposeFail
+                         * @type {{id: number, resource: *, error: Error, durationMs: number}}
+                         */
+                        this.emit('disposeFail', {
+                            id,
+                            resource,
+                            error: err,
+                            durationMs,
+                        });
+                    } else {
+                        /**
+                         * A resource has been disposed.
+                         *
+                         * @event Pool#dispose
+                         * @type {{id: number, resource: *, durationMs: number}}
+                         */
+                        this.emit('dispose', { id, resource, durationMs });
+                    }
+                    this._ensureMin();
+                    c(err && new FactoryError('dispose', err));
                 });
             });
             if (this._rBorrowed.has(resource)) {
                 this.release(resource, cb);
             } else {
-                const indexOfResource = this._rAvailable.indexOf(resource);
-                this._rAvailable.splice(indexOfResource, 1);
+                this._rAvailable.delete(resource);
                 this._rDestroyed.get(resource)(cb);
             }
         } else {
@@ -234,87 +1005,816 @@ class Pool extends EventEmitter {
         }
     }
 
+    /**
+     * Acquire a resource, pass it to `fn` and release it once `fn` has finished.
+     * The resource is destroyed instead if `fn` fails with an error matching the `destroyOnError` option.
+     *
+     * @param {Object} [options]
+     *      The same options as for {@link Pool#acquire}.
+     * @param {function(resource:*, [done:function(err, result:*)])} fn
+     *      Accepts a node-style callback, callback returning a promise or callback returning a value.
+     * @param {function(err, result:*)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise resolved with the result of `fn` if callback isn't provided.
+     */
+    use(options, fn, cb) {
+        if (typeof options === 'function') {
+            cb = fn;
+            fn = options;
+            options = {};
+        }
+        if (typeof cb !== 'function') {
+            return this.useAsync(options || {}, fn);
+        }
+        const worker = fn.length === 2 ? fn : asyncify(fn);
+        this._acquireResource(options || {}, (err, resource) => {
+            if (err) {
+                return cb(err);
+            }
+            worker(resource, (error, result) => {
+                if (error && this._options.destroyOnError(error)) {
+                    this.destroy(resource, () => cb(error));
+                } else {
+                    this.release(resource, e => cb(error || e, result));
+                }
+            });
+        });
+    }
+
+    /**
+     * Call `fn` for each item of an iterable with a resource borrowed for it, at most `concurrency` at once.
+     * Items are pulled from the iterable only as resources free up, so a readable stream isn't read faster
+     * than the pool can process it. The first failure stops the iteration, the resource it has happened with
+     * is destroyed.
+     *
+     * @param {Iterable|AsyncIterable|Readable} iterable
+     * @param {function(item:*, resource:*, [done:function(err, result:*)])} fn
+     *      Accepts a node-style callback, callback returning a promise or callback returning a value.
+     * @param {Object} [options]
+     * @param {boolean} [options.ordered = true]
+     *      If true the results are in the order of the items, otherwise in the order of completion.
+     * @param {number} [options.concurrency = max]
+     *      Max number of items processed at once.
+     * @param {number} [options.priority = 0]
+     *      Priority level of the acquire calls.
+     * @param {function(err, results:Array)} [cb]
+     * @returns {undefined|Promise}
+     *      Returns a promise resolved with the results if callback isn't provided.
+     */
+    map(iterable, fn, options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+        if (typeof cb !== 'function') {
+            return this.mapAsync(iterable, fn, options);
+        }
+        assertUnknownOptionsKeys(options, ['ordered', 'concurrency', 'priority']);
+        const iterator = getIterator(iterable);
+        const worker = fn.length === 3 ? fn : asyncify(fn);
+        const ordered = options.ordered !== false;
+        const concurrency = options.concurrency || this._options.max;
+        const acquireOptions = { priority: options.priority };
+        const results = [];
+        let index = 0;
+        let running = 0;
+        let pulling = false;
+        let exhausted = false;
+        let failed = false;
+
+        const finish = (err) => {
+            if (failed) {
+                return;
+            }
+            if (err) {
+                failed = true;
+                if (typeof iterator.return === 'function') {
+                    Promise.resolve().then(() => iterator.return()).catch(noop);
+                }
+                return cb(err);
+            }
+            cb(null, results);
+        };
+        const pull = () => {
+            if (failed || exhausted || pulling || running >= concurrency) {
+                return;
+            }
+            pulling = true;
+            // the callbacks are called out of the promise chain, so errors thrown by them aren't swallowed
+            Promise.resolve().then(() => iterator.next()).then(
+                step => setImmediate(() => {
+                    pulling = false;
+                    if (step.done) {
+                        exhausted = true;
+                        return running === 0 && finish();
+                    }
+                    const i = index++;
+                    running++;
+                    this._mapItem(step.value, worker, acquireOptions, (err, result) => {
+                        running--;
+                        if (err) {
+                            return finish(err);
+                        }
+                        if (ordered) {
+                            results[i] = result;
+                        } else {
+                            results.push(result);
+                        }
+                        if (exhausted && running === 0) {
+                            finish();
+                        } else {
+                            pull();
+                        }
+                    });
+                    pull();
+                }),
+                err => setImmediate(() => {
+                    pulling = false;
+                    finish(err);
+                }),
+            );
+        };
+        pull();
+    }
+
+    /**
+     * Create an object mode `Transform` stream calling `fn` for each written item with a resource borrowed
+     * for it and pushing the results. Writes are held back while `concurrency` items are being processed.
+     * A failure destroys the resource it has happened with and the stream.
+     * Results which are `null` or `undefined` aren't pushed.
+     *
+     * @param {function(item:*, resource:*, [done:function(err, result:*)])} fn
+     *      Accepts a node-style callback, callback returning a promise or callback returning a value.
+     * @param {Object} [options]
+     *      The same options as for {@link Pool#map}.
+     * @returns {PoolTransform}
+     */
+    transform(fn, options) {
+        options = options || {};
+        assertUnknownOptionsKeys(options, ['ordered', 'concurrency', 'priority']);
+        return new PoolTransform(this, fn.length === 3 ? fn : asyncify(fn), {
+            ordered: options.ordered !== false,
+            concurrency: options.concurrency || this._options.max,
+            priority: options.priority,
+        });
+    }
+
+    _mapItem(item, worker, options, cb) {
+        this._acquireResource(options, (err, resource) => {
+            if (err) {
+                return cb(err);
+            }
+            worker(item, resource, (error, result) => {
+                if (error) {
+                    this.destroy(resource, () => cb(error));
+                } else {
+                    this.release(resource, e => cb(e, result));
+                }
+            });
+        });
+    }
+
     /**
      * Attempt to gracefully close the pool.
+     * Queued acquire calls are rejected with {@link PoolEndedError}, available resources are disposed right away
+     * and borrowed ones once released.
+     * Calling end once shutdown has completed yields {@link PoolEndedError}.
      *
-     * @param {boolean} force
-     * @param {function(err)} cb
+     * @param {boolean|Object} [options]
+     *      Passing `true` is the same as `{ force: true }`.
+     * @param {boolean} [options.force = false]
+     *      If true borrowed resources are disposed without waiting for them to be released.
+     * @param {number} [options.timeoutMs = 0]
+     *      Max milliseconds to wait for borrowed resources to be released. 0 waits forever.
+     * @param {string} [options.onTimeout = 'force']
+     *      What to do when `timeoutMs` has passed: `force` disposes the resources which are still borrowed,
+     *      `reject` yields {@link EndTimeoutError} leaving the pool to finish shutdown once they are released.
+     * @param {function(err)} [cb]
      * @returns {undefined|Promise}
      *      Returns a promise if callback isn't provided.
      */
-    end(force, cb) {
-        if (typeof force === 'function') {
-            cb = force;
+    end(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = {};
         }
         if (typeof cb !== 'function') {
-            return this.endAsync(force);
+            return this.endAsync(options);
+        }
+        options = typeof options === 'object' && options !== null ? options : { force: !!options };
+        assertUnknownOptionsKeys(options, ['force', 'timeoutMs', 'onTimeout']);
+        const onTimeout = options.onTimeout || 'force';
+        assert.ok(['force', 'reject'].includes(onTimeout), 'options.onTimeout must be "force" or "reject"');
+        if (this._ended) {
+            return cb(new PoolEndedError(true));
         }
 
-        this._ending = true;
-        const onEnd = (err) => {
-            this._ended = true;
-            this._ending = false;
-            cb(err);
+        const span = this._tracer && startSpan(this._tracer, 'iampool.end', this._spanAttributes(), s => s);
+        let timer = null;
+        const settle = (err) => {
+            clearTimeout(timer);
+            if (cb) {
+                const callback = cb;
+                cb = null;
+                if (span) {
+                    endSpan(span, err);
+                }
+                callback(err);
+            }
         };
+        // calls made while the pool is already ending join the shutdown in progress
+        this._endCallbacks.push(settle);
+        if (!this._ending) {
+            this._startEnd(options.force);
+        }
 
-        if (force && force !== cb) {
-            asyncEach(Array.from(this._rSet.values()), (resource, c) => {
+        if (options.force) {
+            // resources which are being disposed already are left to the shutdown in progress
+            const resources = Array.from(this._rSet.values()).filter(resource => !this._rDestroyed.has(resource));
+            asyncEach(resources, (resource, c) => {
                 this.destroy(resource, c);
-            }, onEnd);
-        } else {
-            this._rAvailable.slice(0).forEach((resource) => {
+            }, err => this._settleEnd(err));
+        } else if (this._isIdle()) {
+            this._settleEnd();
+        } else if (options.timeoutMs) {
+            timer = setTimeout(() => {
+                if (onTimeout === 'force') {
+                    // available resources are being disposed already, the queue drains once these are too
+                    Array.from(this._rBorrowed.keys()).forEach((resource) => {
+                        this.destroy(resource, noop);
+                    });
+                } else {
+                    settle(new EndTimeoutError(options.timeoutMs, this.borrowed));
+                }
+            }, options.timeoutMs);
+        }
+    }
+
+    _startEnd(force) {
+        this._ending = true;
+        this._endingStartedAt = Date.now();
+        this._stopEvictor();
+
+        const queued = [];
+        this._queue.remove((node) => {
+            queued.push(node.data);
+            return false;
+        });
+        queued.forEach((waiter) => {
+            this._dequeueWaiter(waiter);
+            settleWaiter(waiter, new PoolEndedError());
+        });
+        this._retryTimers.forEach((cb, timer) => {
+            clearTimeout(timer);
+            cb(new PoolEndedError());
+        });
+        this._retryTimers.clear();
+        // requests taken by the worker already and waiting for a slot to create a resource fail in _getResource
+        clearTimeout(this._createTimer);
+        this._createTimer = null;
+        const waiting = this._rWaiting;
+        this._rWaiting = [];
+        waiting.forEach(retry => retry());
+        this._emitEnding();
+        this._settleReady(new PoolEndedError());
+
+        if (!force) {
+            this._rAvailable.toArray().forEach((resource) => {
                 this.destroy(resource, noop);
             });
+        }
+        this.once('drain', this._onEndDrain);
+    }
 
-            if (this._queue.idle()) {
-                onEnd();
-            } else {
-                this.once('drain', onEnd);
-            }
+    _settleEnd(err) {
+        if (this._ended) {
+            return;
+        }
+        this.removeListener('drain', this._onEndDrain);
+        this._ended = true;
+        this._ending = false;
+        const callbacks = this._endCallbacks;
+        this._endCallbacks = [];
+        callbacks.forEach(settle => settle(err));
+    }
+
+    /**
+     * End the pool when the process receives a signal. Once the pool has ended the signal is raised again
+     * unless something else listens to it, so the process terminates as it would without the pool.
+     *
+     * @param {string} [signal = 'SIGTERM']
+     * @param {boolean|Object} [options]
+     *      The same options as for {@link Pool#end}.
+     * @returns {function}
+     *      Returns a function removing the signal handler.
+     */
+    endOnSignal(signal, options) {
+        signal = signal || 'SIGTERM';
+        const onSignal = () => {
+            this.end(options, () => {
+                if (process.listenerCount(signal) === 0) {
+                    process.kill(process.pid, signal);
+                }
+            });
+        };
+        process.once(signal, onSignal);
+        return () => process.removeListener(signal, onSignal);
+    }
+
+    _emitEnding() {
+        /**
+         * Shutdown progress, emitted when {@link Pool#end} is called and every time a borrowed resource
+         * is released while the pool is ending.
+         *
+         * @event Pool#ending
+         * @type {{borrowed: number, elapsedMs: number}}
+         */
+        this.emit('ending', { borrowed: this.borrowed, elapsedMs: Date.now() - this._endingStartedAt });
+    }
+
+    _spanAttributes() {
+        return {
+            'pool.name': this._options.name,
+            'pool.size': this.size,
+            'pool.pending': this.pending,
+        };
+    }
+
+    _traceFactory(operation, attributes, call, cb) {
+        if (!this._tracer) {
+            return call(cb);
         }
+        const spanAttributes = Object.assign(this._spanAttributes(), attributes);
+        startSpan(this._tracer, `iampool.factory.${operation}`, spanAttributes, (span) => {
+            call((err, resource) => {
+                endSpan(span, err);
+                cb(err, resource);
+            });
+        });
     }
 
     _releaseResource(resource, cb) {
         this._rBorrowed.delete(resource);
+        this._unwatchLeak(resource);
+        if (this._ending) {
+            this._emitEnding();
+        }
         const destroyCb = this._rDestroyed.get(resource);
         if (destroyCb) {
             destroyCb(cb);
-        } else if (this._ending) {
+        } else if (this._ending || this._isRetired(resource) || this._isSurplus()) {
             this.destroy(resource, cb);
-        } else if (this._options.fifo) {
-            this._rAvailable.unshift(resource);
-            cb();
+        } else if (this._options.testOnReturn) {
+            this._validate(resource, (isValid) => {
+                if (!this._isAlive(resource)) {
+                    // destroyed while being validated
+                    cb();
+                } else if (isValid) {
+                    this._addAvailable(resource);
+                    cb();
+                } else {
+                    this.destroy(resource, cb);
+                }
+            });
         } else {
-            this._rAvailable.push(resource);
+            this._addAvailable(resource);
             cb();
         }
     }
 
+    _addAvailable(resource) {
+        this._touchResource(resource);
+        this._rAvailable.add(resource);
+        this._notifyReleaseWaiting(resource);
+        this._dispatchWaiting();
+    }
+
     _deleteResource(resource) {
+        const meta = this._rMeta.get(resource);
+        if (meta && meta.affinityKeys) {
+            meta.affinityKeys.forEach((key) => {
+                if (this._affinity.get(key) === resource) {
+                    this._affinity.delete(key);
+                }
+            });
+        }
+        this._notifyReleaseWaiting(resource);
         this._rSet.delete(resource);
+        this._rMeta.delete(resource);
         this._rDestroyed.delete(resource);
         this._rBorrowed.delete(resource);
+        this._dispatchWaiting();
+    }
+
+    _canCreate() {
+        return this._rSet.size + this._pendingCreates < this._options.max;
     }
 
-    _getResource(cb) {
-        if (this._rAvailable.length) {
-            cb(null, this._rAvailable.pop());
+    _getPreferredResource(waiter, deadline, cb) {
+        const preferred = this._preferredResource(waiter.prefer, waiter.affinityKey);
+        waiter.preferred = preferred;
+        if (preferred === undefined || !this._rSet.has(preferred)) {
+            return this._getResource(deadline, cb);
+        }
+        if (waiter.affinityWaitMs && this._rBorrowed.has(preferred) && !this._rDestroyed.has(preferred)) {
+            return this._waitForRelease(preferred, waiter.affinityWaitMs, () => {
+                this._getResource(deadline, cb, preferred);
+            });
+        }
+        this._getResource(deadline, cb, preferred);
+    }
+
+    _waitForRelease(resource, waitMs, cb) {
+        const waiting = this._rReleaseWaiting.get(resource) || [];
+        let timer = null;
+        const onRelease = () => {
+            clearTimeout(timer);
+            cb();
+        };
+        timer = setTimeout(() => {
+            waiting.splice(waiting.indexOf(onRelease), 1);
+            if (!waiting.length && this._rReleaseWaiting.get(resource) === waiting) {
+                this._rReleaseWaiting.delete(resource);
+            }
+            cb();
+        }, waitMs);
+        waiting.push(onRelease);
+        this._rReleaseWaiting.set(resource, waiting);
+    }
+
+    _notifyReleaseWaiting(resource) {
+        const waiting = this._rReleaseWaiting.get(resource);
+        if (waiting) {
+            this._rReleaseWaiting.delete(resource);
+            waiting.forEach(onRelease => onRelease());
+        }
+    }
+
+    _associate(key, resource) {
+        const previous = this._affinity.get(key);
+        if (previous !== undefined && previous !== resource && this._rMeta.has(previous)) {
+            this._rMeta.get(previous).affinityKeys.delete(key);
+        }
+        const meta = this._rMeta.get(resource);
+        meta.affinityKeys = meta.affinityKeys || new Set();
+        meta.affinityKeys.add(key);
+        // re-inserting keeps the keys ordered from the least to the most recently used one
+        this._affinity.delete(key);
+        this._affinity.set(key, resource);
+        if (this._affinity.size > this._options.maxAffinityKeys) {
+            const [oldestKey, oldest] = this._affinity.entries().next().value;
+            this._affinity.delete(oldestKey);
+            this._rMeta.get(oldest).affinityKeys.delete(oldestKey);
+        }
+    }
+
+    _getResource(deadline, cb, preferred) {
+        if (this._ending || this._ended) {
+            return cb(new PoolEndedError(this._ended));
+        }
+        if (this._rAvailable.size) {
+            let resource;
+            try {
+                resource = this._rAvailable.take(preferred);
+            } catch (err) {
+                // a custom strategy has failed, the resource stays available
+                return cb(err);
+            }
+            if (this._isRetired(resource)) {
+                this.destroy(resource, noop);
+                return this._getResource(deadline, cb);
+            }
+            if (!this._options.testOnBorrow) {
+                return cb(null, resource);
+            }
+            this._validate(resource, (isValid) => {
+                if (!this._isAlive(resource)) {
+                    // destroyed while being validated
+                    this._getResource(deadline, cb);
+                } else if (isValid) {
+                    cb(null, resource);
+                } else {
+                    this.destroy(resource, noop);
+                    this._getResource(deadline, cb);
+                }
+            });
+        } else if (this._canCreate() && this._canStartCreate()) {
+            this._createResource(deadline, cb);
         } else {
-            this._factory.acquire((err, resource) => {
+            // every slot is taken by a resource still being warmed up or disposed, or creation is throttled,
+            // wait for it to settle
+            const retry = () => this._getResource(deadline, cb);
+            // keep the context of the acquire call, as waiting requests are dispatched by other calls
+            this._rWaiting.push(this._tracer ? bindScope(retry) : retry);
+            this._scheduleCreates();
+        }
+    }
+
+    _isAlive(resource) {
+        return this._rSet.has(resource) && !this._rDestroyed.has(resource);
+    }
+
+    _validate(resource, cb) {
+        if (!this._factory.validate) {
+            return cb(true);
+        }
+        this._factory.validate(resource, (err, isValid) => {
+            if (err || !isValid) {
+                this._counters.validationFailures++;
+            }
+            cb(!err && !!isValid);
+        });
+    }
+
+    _dispatchWaiting() {
+        while (this._rWaiting.length && (this._rAvailable.size || (this._canCreate() && this._canStartCreate()))) {
+            this._rWaiting.shift()();
+        }
+        if (this._rWaiting.length) {
+            this._scheduleCreates();
+        }
+    }
+
+    _canStartCreate() {
+        const { maxConcurrentCreates } = this._options;
+        return (!maxConcurrentCreates || this._pendingCreates < maxConcurrentCreates)
+            && Date.now() >= this._nextCreateAt;
+    }
+
+    _scheduleCreates() {
+        // only the rate limit needs a timer, creations held back by maxConcurrentCreates start once one settles
+        if (this._createTimer || this._nextCreateAt <= Date.now()) {
+            return;
+        }
+        this._createTimer = setTimeout(() => {
+            this._createTimer = null;
+            this._dispatchWaiting();
+            this._ensureMin();
+        }, this._nextCreateAt - Date.now());
+    }
+
+    _createResource(deadline, cb) {
+        const id = ++this._lastResourceId;
+        this._pendingCreates++;
+        if (this._options.maxCreateRate) {
+            this._nextCreateAt = Date.now() + (1000 / this._options.maxCreateRate);
+        }
+        this._acquireWithRetry(id, deadline, 0, (err, resource) => {
+            this._pendingCreates--;
+            if (err) {
+                this._dispatchWaiting();
+                cb(err);
+            } else {
+                const now = Date.now();
+                const { maxLifetimeMs, maxLifetimeJitterMs } = this._options;
+                this._counters.created++;
+                this._rSet.add(resource);
+                this._rMeta.set(resource, {
+                    id,
+                    createdAt: now,
+                    lastUsedAt: now,
+                    expiresAt: maxLifetimeMs
+                        ? now + maxLifetimeMs + Math.floor(Math.random() * maxLifetimeJitterMs)
+                        : Infinity,
+                    uses: 0,
+                });
+                cb(null, resource);
+                // a throttled creation may start now
+                this._dispatchWaiting();
+            }
+        });
+    }
+
+    _acquireWithRetry(id, deadline, attempt, cb) {
+        if (this._breaker && !this._breaker.tryRequest()) {
+            return cb(new PoolUnavailableError(this._breaker.lastError));
+        }
+        const startedAt = Date.now();
+        /**
+         * The acquire factory function is going to be called. Retries keep the id of the first attempt.
+         *
+         * @event Pool#createRequest
+         * @type {{id: number, attempt: number}}
+         */
+        this.emit('createRequest', { id, attempt });
+        const acquire = done => this._factory.acquire(done);
+        this._traceFactory('acquire', { 'pool.resource.id': id }, acquire, (err, resource) => {
+            const durationMs = Date.now() - startedAt;
+            if (!err) {
+                if (this._breaker) {
+                    this._breaker.recordSuccess();
+                }
+                /**
+                 * A resource has been created.
+                 *
+                 * @event Pool#create
+                 * @type {{id: number, resource: *, durationMs: number}}
+                 */
+                this.emit('create', { id, resource, durationMs });
+                return cb(null, resource);
+            }
+            this._counters.createFailed++;
+            /**
+             * The acquire factory function has failed.
+             *
+             * @event Pool#createFail
+             * @type {{id: number, error: Error, durationMs: number}}
+             */
+            this.emit('createFail', { id, error: err, durationMs });
+            if (this._breaker) {
+                this._breaker.recordFailure(err);
+            }
+            const {
+                acquireRetries,
+                acquireRetryBaseDelayMs,
+                acquireRetryMaxDelayMs,
+                acquireRetryJitter,
+            } = this._options;
+            const backoff = Math.min(acquireRetryBaseDelayMs * (2 ** attempt), acquireRetryMaxDelayMs);
+            const delayMs = Math.round(backoff * (1 - (Math.random() * acquireRetryJitter)));
+            if (
+                attempt >= acquireRetries
+                || this._ending
+                || this._ended
+                || Date.now() + delayMs >= deadline
+                || !this._options.acquireRetryIf(err)
+            ) {
+                return cb(new FactoryError('acquire', err));
+            }
+            /**
+             * Resource creation has failed and is going to be retried.
+             *
+             * @event Pool#acquireRetry
+             * @param {Error} err
+             * @param {number} attempt
+             *      Number of the upcoming retry, starting from 1.
+             * @param {number} delayMs
+             */
+            this.emit('acquireRetry', err, attempt + 1, delayMs);
+            const timer = setTimeout(() => {
+                this._retryTimers.delete(timer);
+                this._acquireWithRetry(id, deadline, attempt + 1, cb);
+            }, delayMs);
+            this._retryTimers.set(timer, cb);
+        });
+    }
+
+    _touchResource(resource) {
+        const meta = this._rMeta.get(resource);
+        if (meta) {
+            meta.lastUsedAt = Date.now();
+        }
+    }
+
+    _isRetired(resource) {
+        const meta = this._rMeta.get(resource);
+        return Date.now() >= meta.expiresAt || (this._options.maxUses > 0 && meta.uses >= this._options.maxUses);
+    }
+
+    _watchLeak(resource, stack) {
+        const { leakDetectionThresholdMs, reclaimLeakedAfterMs } = this._options;
+        const meta = this._rMeta.get(resource);
+        meta.borrowedAt = Date.now();
+        if (leakDetectionThresholdMs) {
+            meta.leakTimer = setTimeout(() => {
+                /**
+                 * A resource has been borrowed for longer than `leakDetectionThresholdMs`.
+                 *
+                 * @event Pool#leak
+                 * @param {*} resource
+                 * @param {number} age
+                 *      Milliseconds since the resource was borrowed.
+                 * @param {string} stack
+                 *      Stack trace of the acquire call.
+                 */
+                this.emit('leak', resource, Date.now() - meta.borrowedAt, stack);
+            }, leakDetectionThresholdMs);
+            meta.leakTimer.unref();
+        }
+        if (reclaimLeakedAfterMs) {
+            meta.reclaimTimer = setTimeout(() => this.destroy(resource, noop), reclaimLeakedAfterMs);
+            meta.reclaimTimer.unref();
+        }
+    }
+
+    _unwatchLeak(resource) {
+        const meta = this._rMeta.get(resource);
+        if (meta) {
+            clearTimeout(meta.leakTimer);
+            clearTimeout(meta.reclaimTimer);
+        }
+    }
+
+    _isSurplus() {
+        return this._rSet.size - this._rDestroyed.size > this._options.max;
+    }
+
+    _startEvictor() {
+        if (!this._options.idleTimeoutMs) {
+            return;
+        }
+        this._evictor = setInterval(() => this._evict(), this._options.evictionRunIntervalMs);
+        this._evictor.unref();
+    }
+
+    _stopEvictor() {
+        if (this._evictor) {
+            clearInterval(this._evictor);
+            this._evictor = null;
+        }
+    }
+
+    _evict() {
+        const now = Date.now();
+        const candidates = this._rAvailable
+            .toArray()
+            .sort((a, b) => this._rMeta.get(a).lastUsedAt - this._rMeta.get(b).lastUsedAt)
+            .slice(0, this._options.numTestsPerEvictionRun);
+        let size = this._rSet.size - this._rDestroyed.size;
+        for (let i = 0; i < candidates.length && size > this._options.min; i++) {
+            const resource = candidates[i];
+            if (now - this._rMeta.get(resource).lastUsedAt >= this._options.idleTimeoutMs) {
+                /**
+                 * An idle resource is about to be disposed by the evictor.
+                 *
+                 * @event Pool#evict
+                 * @type {*}
+                 */
+                this.emit('evict', resource);
+                this.destroy(resource, noop);
+                size--;
+            }
+        }
+    }
+
+    _evictAvailable() {
+        if (!this._rAvailable.size) {
+            return false;
+        }
+        const resource = this._rAvailable
+            .toArray()
+            .sort((a, b) => this._rMeta.get(a).lastUsedAt - this._rMeta.get(b).lastUsedAt)[0];
+        this.emit('evict', resource);
+        this.destroy(resource, noop);
+        return true;
+    }
+
+    _ensureMin() {
+        if (this._ending || this._ended) {
+            return;
+        }
+        const min = Math.min(this._options.min, this._options.max);
+        while (this._rSet.size + this._pendingCreates < min && this._canStartCreate()) {
+            this._createResource(Infinity, (err, resource) => {
                 if (err) {
-                    cb(err);
+                    this._settleReady(err);
+                } else if (this._ending || this._ended) {
+                    this.destroy(resource, noop);
                 } else {
-                    this._rSet.add(resource);
-                    cb(null, resource);
+                    this._addAvailable(resource);
+                    this._ensureMin();
                 }
             });
         }
+        if (this._rSet.size + this._pendingCreates < min) {
+            this._scheduleCreates();
+        }
+        if (!this._isReady && this._rSet.size >= min) {
+            this._settleReady();
+        }
+    }
+
+    _settleReady(err) {
+        if (!err && !this._isReady) {
+            this._isReady = true;
+            /**
+             * The pool has created its initial `min` resources.
+             *
+             * @event Pool#ready
+             */
+            this.emit('ready');
+        }
+        const callbacks = this._readyCallbacks;
+        this._readyCallbacks = [];
+        callbacks.forEach(cb => cb(err));
     }
 }
 
+Pool.prototype.readyAsync = promisify(Pool.prototype.ready);
 Pool.prototype.acquireAsync = promisify(Pool.prototype.acquire);
+Pool.prototype.acquireDisposableAsync = promisify(Pool.prototype.acquireDisposable);
 Pool.prototype.releaseAsync = promisify(Pool.prototype.release);
 Pool.prototype.destroyAsync = promisify(Pool.prototype.destroy);
+Pool.prototype.useAsync = promisify(Pool.prototype.use);
+Pool.prototype.mapAsync = promisify(Pool.prototype.map);
 Pool.prototype.endAsync = promisify(Pool.prototype.end);
 
+Pool.PrometheusExporter = PrometheusExporter;
+Pool.Lease = Lease;
+Object.assign(Pool, errors);
+
 module.exports = Pool;
+
+// required after the export as KeyedPool is built on top of Pool
+Pool.KeyedPool = require('./KeyedPool');
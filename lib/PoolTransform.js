@@ -0,0 +1,81 @@
+const { Transform } = require('stream');
+
+/**
+ * Object mode transform stream processing each item with a pooled resource, created by {@link Pool#transform}
+ *
+ * @param {Pool} pool
+ * @param {function(item:*, resource:*, done:function(err, result:*))} worker
+ * @param {Object} options
+ * @param {boolean} options.ordered
+ * @param {number} options.concurrency
+ * @param {number} [options.priority]
+ */
+class PoolTransform extends Transform {
+    constructor(pool, worker, options) {
+        super({ objectMode: true });
+        this._pool = pool;
+        this._worker = worker;
+        this._ordered = options.ordered;
+        this._concurrency = options.concurrency;
+        this._acquireOptions = { priority: options.priority };
+        this._running = 0;
+        this._pending = [];
+        this._resume = null;
+        this._onFinish = null;
+    }
+
+    _transform(item, encoding, callback) {
+        const entry = { done: false, result: undefined };
+        if (this._ordered) {
+            this._pending.push(entry);
+        }
+        this._running++;
+        this._pool._mapItem(item, this._worker, this._acquireOptions, (err, result) => {
+            this._running--;
+            if (this.destroyed) {
+                return;
+            }
+            if (err) {
+                return this.destroy(err);
+            }
+            if (this._ordered) {
+                entry.done = true;
+                entry.result = result;
+                while (this._pending.length && this._pending[0].done) {
+                    this._pushResult(this._pending.shift().result);
+                }
+            } else {
+                this._pushResult(result);
+            }
+            if (this._resume) {
+                const resume = this._resume;
+                this._resume = null;
+                resume();
+            } else if (this._onFinish && this._running === 0) {
+                this._onFinish();
+            }
+        });
+        if (this._running < this._concurrency) {
+            callback();
+        } else {
+            // backpressure, the next item isn't accepted until one of the running ones has finished
+            this._resume = callback;
+        }
+    }
+
+    _flush(callback) {
+        if (this._running === 0) {
+            callback();
+        } else {
+            this._onFinish = callback;
+        }
+    }
+
+    _pushResult(result) {
+        if (result !== null && result !== undefined) {
+            this.push(result);
+        }
+    }
+}
+
+module.exports = PoolTransform;
@@ -0,0 +1,137 @@
+// the third element marks gauges kept in milliseconds by the pool and exported in seconds
+const GAUGES = [
+    ['size', 'Number of resources in the pool regardless of whether they are free or in use'],
+    ['available', 'Number of unused resources in the pool'],
+    ['borrowed', 'Number of resources currently acquired by userland code'],
+    ['pending', 'Number of acquire calls waiting in the queue'],
+    ['pendingCreates', 'Number of resources being created'],
+    ['queueAge', 'Time the oldest queued acquire call has been waiting in seconds', true],
+];
+
+const COUNTERS = [
+    ['created', 'Total number of resources created'],
+    ['createFailed', 'Total number of failed resource creations'],
+    ['disposed', 'Total number of resources disposed'],
+    ['disposeFailed', 'Total number of failed resource disposals'],
+    ['acquireTimeouts', 'Total number of timed out acquire calls'],
+    ['validationFailures', 'Total number of failed resource validations'],
+    ['affinityHits', 'Total number of acquire calls which got the preferred resource'],
+    ['affinityMisses', 'Total number of acquire calls which got a resource other than the preferred one'],
+    ['loadShed', 'Total number of acquire calls rejected as the queue was overloaded'],
+];
+
+const HISTOGRAMS = [
+    ['acquireWaitMs', 'acquire_wait_seconds', 'Time spent waiting for a resource in seconds'],
+    ['borrowDurationMs', 'borrow_duration_seconds', 'Time a resource was borrowed for in seconds'],
+];
+
+function snakeCase(str) {
+    return str.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (!keys.length) {
+        return '';
+    }
+    return `{${keys.map(key => `${key}="${escapeLabelValue(labels[key])}"`).join(',')}}`;
+}
+
+/**
+ * Renders metrics of one or more pools in the Prometheus text exposition format
+ *
+ * @param {Object} [options]
+ * @param {string} [options.prefix = 'iampool']
+ *      Prefix of the metric names.
+ * @param {Object} [options.labels = {}]
+ *      Labels added to every metric.
+ */
+class PrometheusExporter {
+    constructor(options) {
+        options = options || {};
+        this._prefix = options.prefix || 'iampool';
+        this._labels = options.labels || {};
+        this._pools = new Map();
+    }
+
+    /**
+     * Add a pool to the exporter.
+     *
+     * @param {Pool} pool
+     * @param {Object} [labels = {}]
+     *      Labels distinguishing the pool from the other registered pools, e.g. `{ pool: 'db' }`.
+     * @returns {PrometheusExporter}
+     */
+    register(pool, labels) {
+        this._pools.set(pool, labels || {});
+        return this;
+    }
+
+    /**
+     * Remove a pool from the exporter.
+     *
+     * @param {Pool} pool
+     * @returns {PrometheusExporter}
+     */
+    unregister(pool) {
+        this._pools.delete(pool);
+        return this;
+    }
+
+    /**
+     * @return {string}
+     *      Returns metrics of the registered pools in the Prometheus text exposition format
+     */
+    render() {
+        const snapshots = Array.from(this._pools.entries()).map(([pool, labels]) => ({
+            metrics: pool.metrics(),
+            labels: Object.assign({}, this._labels, labels),
+        }));
+        const lines = [];
+
+        GAUGES.forEach(([key, help, inSeconds]) => {
+            const name = inSeconds ? `${snakeCase(key)}_seconds` : snakeCase(key);
+            this._header(lines, name, help, 'gauge');
+            snapshots.forEach(({ metrics, labels }) => {
+                const value = inSeconds ? metrics[key] / 1000 : metrics[key];
+                lines.push(`${this._prefix}_${name}${formatLabels(labels)} ${value}`);
+            });
+        });
+
+        COUNTERS.forEach(([key, help]) => {
+            const name = `${snakeCase(key)}_total`;
+            this._header(lines, name, help, 'counter');
+            snapshots.forEach(({ metrics, labels }) => {
+                lines.push(`${this._prefix}_${name}${formatLabels(labels)} ${metrics[key]}`);
+            });
+        });
+
+        HISTOGRAMS.forEach(([key, name, help]) => {
+            this._header(lines, name, help, 'histogram');
+            snapshots.forEach(({ metrics, labels }) => {
+                const { buckets, sum, count } = metrics[key];
+                buckets.forEach(({ le, count: bucketCount }) => {
+                    const bucketLabels = formatLabels(Object.assign({}, labels, { le: le / 1000 }));
+                    lines.push(`${this._prefix}_${name}_bucket${bucketLabels} ${bucketCount}`);
+                });
+                const infLabels = formatLabels(Object.assign({}, labels, { le: '+Inf' }));
+                lines.push(`${this._prefix}_${name}_bucket${infLabels} ${count}`);
+                lines.push(`${this._prefix}_${name}_sum${formatLabels(labels)} ${sum / 1000}`);
+                lines.push(`${this._prefix}_${name}_count${formatLabels(labels)} ${count}`);
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    _header(lines, name, help, type) {
+        lines.push(`# HELP ${this._prefix}_${name} ${help}`);
+        lines.push(`# TYPE ${this._prefix}_${name} ${type}`);
+    }
+}
+
+module.exports = PrometheusExporter;
@@ -0,0 +1,176 @@
+const { inspect } = require('util');
+
+/**
+ * Base class of the errors yielded by the pool
+ *
+ * @param {string} message
+ * @param {string} code
+ *      Stable error code, unlike the message it is safe to match on.
+ */
+class PoolError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * Error yielded by calls made after {@link Pool#end} has been called
+ *
+ * @param {boolean} [ended = false]
+ *      Whether shutdown has already completed.
+ */
+class PoolEndedError extends PoolError {
+    constructor(ended) {
+        super(ended ? 'Pool is destroyed' : 'Pool is ending', 'ERR_POOL_ENDED');
+    }
+}
+
+/**
+ * Error yielded by acquire calls exceeding `maxWaitingClients`
+ *
+ * @param {number} limit
+ */
+class QueueFullError extends PoolError {
+    constructor(limit) {
+        super(`Max waiting clients count exceeded [${limit}]`, 'ERR_POOL_QUEUE_FULL');
+        this.limit = limit;
+    }
+}
+
+/**
+ * Error yielded by acquire calls which haven't got a resource within `acquireTimeoutMs`
+ *
+ * @param {number} timeoutMs
+ */
+class AcquireTimeoutError extends PoolError {
+    constructor(timeoutMs) {
+        super('Acquire timed out', 'ETIMEDOUT');
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Error yielded by release calls which haven't finished within `releaseTimeoutMs`
+ *
+ * @param {number} timeoutMs
+ */
+class ReleaseTimeoutError extends PoolError {
+    constructor(timeoutMs) {
+        super('Release timed out', 'ETIMEDOUT');
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Error yielded by release calls with a resource which isn't borrowed from the pool
+ *
+ * @param {*} resource
+ */
+class NotBorrowedError extends PoolError {
+    constructor(resource) {
+        super(`Trying to release not acquired resource: ${inspect(resource)}`, 'ERR_POOL_NOT_BORROWED');
+        this.resource = resource;
+    }
+}
+
+/**
+ * Error wrapping a failure of the `acquire` or `dispose` factory function
+ *
+ * @param {string} operation
+ *      "acquire" or "dispose".
+ * @param {Error} cause
+ *      The error yielded by the factory function.
+ */
+class FactoryError extends PoolError {
+    constructor(operation, cause) {
+        super(`Resource ${operation} failed: ${cause && cause.message}`, 'ERR_POOL_FACTORY');
+        this.operation = operation;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error yielded by acquire calls which need a new resource while the circuit breaker is open
+ *
+ * @param {Error} [cause]
+ *      The last resource creation error.
+ */
+class PoolUnavailableError extends PoolError {
+    constructor(cause) {
+        super('Pool is unavailable', 'ERR_POOL_UNAVAILABLE');
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error yielded by acquire calls aborted with an `AbortSignal`
+ */
+class AbortError extends PoolError {
+    constructor() {
+        super('Acquire aborted', 'ABORT_ERR');
+    }
+}
+
+/**
+ * Error yielded by {@link Pool#end} when borrowed resources haven't been released within `timeoutMs`
+ *
+ * @param {number} timeoutMs
+ * @param {number} borrowed
+ *      Number of resources still borrowed.
+ */
+class EndTimeoutError extends PoolError {
+    constructor(timeoutMs, borrowed) {
+        super(`End timed out with ${borrowed} borrowed resources`, 'ETIMEDOUT');
+        this.timeoutMs = timeoutMs;
+        this.borrowed = borrowed;
+    }
+}
+
+/**
+ * Error yielded by acquire calls with the `noWait` option which would have to wait for a resource
+ */
+class PoolExhaustedError extends PoolError {
+    constructor() {
+        super('No resource is available', 'ERR_POOL_EXHAUSTED');
+    }
+}
+
+/**
+ * Error yielded by acquire calls rejected as queued requests have been waiting longer than `maxQueueWaitMs`
+ *
+ * @param {number} queueAge
+ *      Milliseconds the oldest queued request has been waiting.
+ */
+class PoolOverloadedError extends PoolError {
+    constructor(queueAge) {
+        super(`Pool is overloaded, queued requests have been waiting for ${queueAge}ms`, 'ERR_POOL_OVERLOADED');
+        this.queueAge = queueAge;
+    }
+}
+
+/**
+ * Error thrown when a lease is used after its resource has been released or destroyed
+ */
+class InvalidLeaseError extends PoolError {
+    constructor() {
+        super('Lease is no longer valid', 'ERR_POOL_INVALID_LEASE');
+    }
+}
+
+module.exports = {
+    PoolError,
+    PoolEndedError,
+    QueueFullError,
+    AcquireTimeoutError,
+    ReleaseTimeoutError,
+    NotBorrowedError,
+    FactoryError,
+    PoolUnavailableError,
+    AbortError,
+    EndTimeoutError,
+    InvalidLeaseError,
+    PoolExhaustedError,
+    PoolOverloadedError,
+};
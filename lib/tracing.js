@@ -0,0 +1,58 @@
+const { AsyncResource } = require('async_hooks');
+
+// SpanStatusCode.ERROR of the OpenTelemetry API
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Start a span with a tracer having the OpenTelemetry `Tracer` shape and call `fn` with it.
+ * The span is made active for the duration of `fn` if the tracer supports `startActiveSpan`,
+ * so spans started by the code called from `fn` become its children.
+ *
+ * @param {Object} tracer
+ * @param {string} name
+ * @param {Object} attributes
+ * @param {function(span:Object)} fn
+ * @returns {*}
+ *      Returns the value returned by `fn`.
+ */
+function startSpan(tracer, name, attributes, fn) {
+    if (typeof tracer.startActiveSpan === 'function') {
+        return tracer.startActiveSpan(name, { attributes }, fn);
+    }
+    return fn(tracer.startSpan(name, { attributes }));
+}
+
+/**
+ * End a span recording the error if any.
+ *
+ * @param {Object} span
+ * @param {Error} [err]
+ * @param {Object} [attributes]
+ */
+function endSpan(span, err, attributes) {
+    if (attributes) {
+        span.setAttributes(attributes);
+    }
+    if (err) {
+        span.recordException(err);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: err.message });
+    }
+    span.end();
+}
+
+/**
+ * Bind a function to the current async context, so the active span is the same whenever it is called.
+ *
+ * @param {function} fn
+ * @returns {function}
+ */
+function bindScope(fn) {
+    const scope = new AsyncResource('iampool');
+    return (...args) => scope.runInAsyncScope(fn, null, ...args);
+}
+
+module.exports = {
+    startSpan,
+    endSpan,
+    bindScope,
+};
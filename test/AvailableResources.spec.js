@@ -0,0 +1,74 @@
+const test = require('tape');
+const AvailableResources = require('../lib/AvailableResources');
+
+const meta = new Map([
+    ['a', { id: 1, createdAt: 1, lastUsedAt: 30, uses: 2 }],
+    ['b', { id: 2, createdAt: 2, lastUsedAt: 10, uses: 3 }],
+    ['c', { id: 3, createdAt: 3, lastUsedAt: 20, uses: 1 }],
+]);
+
+function takeAll(strategy) {
+    const available = new AvailableResources(strategy, resource => meta.get(resource));
+    ['a', 'b', 'c'].forEach(resource => available.add(resource));
+    const taken = [];
+    while (available.size) {
+        taken.push(available.take());
+    }
+    return taken;
+}
+
+test('available resources strategies', (t) => {
+    t.deepEqual(takeAll(), ['c', 'b', 'a'], 'lifo by default');
+    t.deepEqual(takeAll('lifo'), ['c', 'b', 'a'], 'lifo');
+    t.deepEqual(takeAll('fifo'), ['a', 'b', 'c'], 'fifo');
+    t.deepEqual(takeAll('lru'), ['b', 'c', 'a'], 'lru');
+    t.deepEqual(takeAll('least-used'), ['c', 'a', 'b'], 'least-used');
+    t.deepEqual(takeAll('random').sort(), ['a', 'b', 'c'], 'random');
+    t.deepEqual(takeAll((x, y) => y.createdAt - x.createdAt), ['c', 'b', 'a'], 'comparator');
+    t.deepEqual(
+        takeAll(candidates => candidates.findIndex(({ resource }) => resource !== 'a')),
+        ['b', 'c', 'a'],
+        'selector',
+    );
+    t.end();
+});
+
+test('available resources selector candidates', (t) => {
+    let candidates;
+    const available = new AvailableResources((c) => {
+        candidates = c;
+        return 0;
+    }, resource => meta.get(resource));
+    available.add('a');
+    available.take();
+    t.deepEqual(candidates, [{
+        resource: 'a',
+        id: 1,
+        createdAt: 1,
+        lastUsedAt: 30,
+        uses: 2,
+    }], 'candidates match');
+    t.end();
+});
+
+test('available resources invalid strategy', (t) => {
+    t.throws(() => new AvailableResources('mru'), /options.strategy must be a function or one of/, 'unknown name');
+    const available = new AvailableResources(() => 5, resource => meta.get(resource));
+    available.add('a');
+    t.throws(() => available.take(), /options.strategy must select one of the candidates/, 'index out of range');
+    t.end();
+});
+
+test('available resources delete', (t) => {
+    const available = new AvailableResources('fifo', resource => meta.get(resource));
+    available.add('a');
+    available.add('b');
+    t.ok(available.delete('a'), 'deleted');
+    t.notOk(available.delete('a'), 'not available');
+    t.deepEqual(available.toArray(), ['b'], 'resources match');
+    available.add('c');
+    t.equal(available.take('c'), 'c', 'take preferred');
+    t.equal(available.take('a'), 'b', 'take selected if preferred is not available');
+    t.equal(available.take(), undefined, 'take from empty');
+    t.end();
+});
@@ -0,0 +1,66 @@
+const test = require('tape-async');
+const { spy } = require('sinon');
+const CircuitBreaker = require('../lib/CircuitBreaker');
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('circuit breaker', (group) => {
+    group.test('opens after consecutive failures', async (t) => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2 });
+        const open = spy();
+        breaker.on('open', open);
+
+        breaker.recordFailure(new Error('fail'));
+        breaker.recordSuccess();
+        breaker.recordFailure(new Error('fail'));
+        t.equal(breaker.state, 'closed', 'success resets consecutive failures');
+        breaker.recordFailure(new Error('fail'));
+        t.equal(breaker.state, 'open', 'state is open');
+        t.ok(open.calledOnce, 'open event emitted once');
+        t.notOk(breaker.tryRequest(), 'requests are rejected');
+    });
+
+    group.test('opens after failures within window', async (t) => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, windowMs: 10 });
+
+        breaker.recordFailure(new Error('fail'));
+        await delay(15);
+        breaker.recordFailure(new Error('fail'));
+        t.equal(breaker.state, 'closed', 'failures outside of window are ignored');
+        breaker.recordFailure(new Error('fail'));
+        t.equal(breaker.state, 'open', 'state is open');
+    });
+
+    group.test('successes do not reset failures within window', async (t) => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3, windowMs: 10000 });
+
+        breaker.recordFailure(new Error('fail'));
+        breaker.recordSuccess();
+        breaker.recordFailure(new Error('fail'));
+        breaker.recordSuccess();
+        t.equal(breaker.state, 'closed', 'state is closed');
+        breaker.recordFailure(new Error('fail'));
+        t.equal(breaker.state, 'open', 'interleaved failures open the circuit');
+    });
+
+    group.test('half-open trial', async (t) => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 10 });
+        const closed = spy();
+        breaker.on('closed', closed);
+
+        breaker.recordFailure(new Error('fail'));
+        await delay(15);
+        t.ok(breaker.tryRequest(), 'trial request allowed');
+        t.equal(breaker.state, 'half-open', 'state is half-open');
+        t.notOk(breaker.tryRequest(), 'only one trial request allowed');
+        breaker.recordFailure(new Error('fail'));
+        t.equal(breaker.state, 'open', 'failed trial opens the circuit');
+        await delay(15);
+        t.ok(breaker.tryRequest(), 'trial request allowed');
+        breaker.recordSuccess();
+        t.equal(breaker.state, 'closed', 'successful trial closes the circuit');
+        t.ok(closed.calledOnce, 'closed event emitted once');
+    });
+});
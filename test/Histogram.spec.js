@@ -0,0 +1,23 @@
+const test = require('tape');
+const Histogram = require('../lib/Histogram');
+
+test('histogram', (t) => {
+    const histogram = new Histogram([10, 1, 5]);
+    histogram.observe(0.5);
+    histogram.observe(3);
+    histogram.observe(7);
+    histogram.observe(20);
+    t.deepEqual(histogram.snapshot(), {
+        buckets: [{ le: 1, count: 1 }, { le: 5, count: 2 }, { le: 10, count: 3 }],
+        sum: 30.5,
+        count: 4,
+    }, 'snapshot match');
+    t.end();
+});
+
+test('histogram default buckets', (t) => {
+    const { buckets } = new Histogram().snapshot();
+    t.equal(buckets[0].le, 1, 'first bucket is 1ms');
+    t.equal(buckets[buckets.length - 1].le, 10000, 'last bucket is 10s');
+    t.end();
+});
@@ -0,0 +1,200 @@
+const test = require('tape-async');
+const { spy, stub } = require('sinon');
+const pick = require('lodash.pick');
+const Pool = require('../lib/Pool');
+
+const { KeyedPool } = Pool;
+
+test('keyed pool', (group) => {
+    group.test('acquire/release per key', async (t) => {
+        let counter = 1;
+        const settings = {
+            acquire: stub().callsFake(key => Promise.resolve(`${key}-${counter++}`)),
+            dispose: stub(),
+            max: 2,
+        };
+        const pool = new KeyedPool(settings);
+
+        const a1 = await pool.acquire('a');
+        const b1 = await pool.acquire('b');
+        t.equal(a1, 'a-1', 'acquire a yields `a-1`');
+        t.equal(b1, 'b-2', 'acquire b yields `b-2`');
+        t.ok(settings.acquire.calledWith('a'), 'settings.acquire called with key');
+        await pool.release('a', a1);
+        t.equal(await pool.acquire('a'), 'a-1', 'released resource is reused for the same key');
+        t.notEqual(await pool.acquire('b'), 'a-1', 'released resource is not used for other keys');
+        t.deepEqual(
+            pick(pool.stats, ['keys', 'size', 'available', 'borrowed']),
+            { keys: 2, size: 3, available: 0, borrowed: 3 },
+            'stats match',
+        );
+    });
+
+    group.test('acquire (callback) factory', async (t) => {
+        const pool = new KeyedPool({
+            acquire: (key, cb) => cb(null, { key }),
+            dispose() {},
+        });
+
+        const res = await new Promise((resolve, reject) => {
+            pool.acquire('a', (err, resource) => (err ? reject(err) : resolve(resource)));
+        });
+        t.deepEqual(res, { key: 'a' }, 'resource match');
+    });
+
+    group.test('max per key', async (t) => {
+        const pool = new KeyedPool({
+            acquire: key => Promise.resolve({ key }),
+            dispose() {},
+            max: 1,
+            acquireTimeoutMs: 10,
+        });
+
+        await pool.acquire('a');
+        await pool.acquire('b');
+        try {
+            await pool.acquire('a');
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
+        }
+    });
+
+    group.test('maxTotal evicts idle resources of other keys', async (t) => {
+        const settings = {
+            acquire: key => Promise.resolve({ key }),
+            dispose: spy(),
+            max: 2,
+            maxTotal: 2,
+        };
+        const pool = new KeyedPool(settings);
+
+        const a1 = await pool.acquire('a');
+        const a2 = await pool.acquire('a');
+        await pool.release('a', a1);
+        const b1 = await pool.acquire('b');
+        t.deepEqual(b1, { key: 'b' }, 'resource for key b created');
+        t.ok(settings.dispose.calledWith(a1), 'idle resource of key a disposed');
+        t.equal(pool.size, 2, 'size = 2');
+        await pool.release('a', a2);
+        await pool.release('b', b1);
+    });
+
+    group.test('maxTotal waits for a resource to be disposed', async (t) => {
+        const pool = new KeyedPool({
+            acquire: key => Promise.resolve({ key }),
+            dispose() {},
+            maxTotal: 1,
+        });
+
+        const a1 = await pool.acquire('a');
+        const pending = pool.acquire('b');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        t.equal(pool.size, 1, 'size = 1');
+        await pool.destroy('a', a1);
+        t.deepEqual(await pending, { key: 'b' }, 'resource for key b created');
+        t.equal(pool.size, 1, 'size = 1');
+    });
+
+    group.test('maxTotal evicts a resource released while a create is waiting', async (t) => {
+        const settings = {
+            acquire: key => Promise.resolve({ key }),
+            dispose: spy(),
+            maxTotal: 1,
+        };
+        const pool = new KeyedPool(settings);
+
+        const a1 = await pool.acquire('a');
+        const pending = pool.acquire('b', { timeoutMs: 200 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await pool.release('a', a1);
+        t.deepEqual(await pending, { key: 'b' }, 'resource for key b created');
+        t.ok(settings.dispose.calledWith(a1), 'released resource of key a disposed');
+        t.equal(pool.size, 1, 'size = 1');
+    });
+
+    group.test('maxTotal drops the waiting create of a timed out acquire', async (t) => {
+        const settings = {
+            acquire: spy(key => Promise.resolve({ key })),
+            dispose() {},
+            maxTotal: 1,
+        };
+        const pool = new KeyedPool(settings);
+
+        const a1 = await pool.acquire('a');
+        try {
+            await pool.acquire('b', { timeoutMs: 10 });
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.AcquireTimeoutError, 'error is AcquireTimeoutError');
+        }
+        await pool.destroy('a', a1);
+        await new Promise(resolve => setImmediate(resolve));
+        t.notOk(settings.acquire.calledWith('b'), 'resource for key b not created');
+        t.equal(pool.size, 0, 'size = 0');
+    });
+
+    group.test('empty pools are removed lazily', async (t) => {
+        const pool = new KeyedPool({
+            acquire: key => Promise.resolve({ key }),
+            dispose() {},
+        });
+
+        const a1 = await pool.acquire('a');
+        await pool.destroy('a', a1);
+        t.equal(pool.stats.keys, 1, 'keys = 1');
+        await pool.release('b', await pool.acquire('b'));
+        t.equal(pool.stats.keys, 1, 'pool of key a removed');
+    });
+
+    group.test('keyIdleTimeoutMs', async (t) => {
+        const settings = {
+            acquire: key => Promise.resolve({ key }),
+            dispose: spy(),
+            keyIdleTimeoutMs: 10,
+        };
+        const pool = new KeyedPool(settings);
+
+        const a1 = await pool.acquire('a');
+        await pool.release('a', a1);
+        await new Promise(resolve => setTimeout(resolve, 15));
+        await pool.acquire('b');
+        t.equal(pool.stats.keys, 1, 'pool of key a removed');
+        await new Promise(resolve => setImmediate(resolve));
+        t.ok(settings.dispose.calledWith(a1), 'idle resource of key a disposed');
+    });
+
+    group.test('release not acquired resource', async (t) => {
+        const pool = new KeyedPool({ acquire: () => Promise.resolve({}), dispose() {} });
+
+        try {
+            await pool.release('a', {});
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.NotBorrowedError, 'error is NotBorrowedError');
+        }
+    });
+
+    group.test('end', async (t) => {
+        const settings = {
+            acquire: key => Promise.resolve({ key }),
+            dispose: spy(),
+        };
+        const pool = new KeyedPool(settings);
+
+        const a1 = await pool.acquire('a');
+        const b1 = await pool.acquire('b');
+        await pool.release('b', b1);
+        const end = pool.end();
+        try {
+            await pool.acquire('a');
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolEndedError, 'error is PoolEndedError');
+        }
+        await pool.release('a', a1);
+        await end;
+        t.ok(settings.dispose.calledTwice, 'settings.dispose called twice');
+        t.equal(pool.stats.keys, 0, 'keys = 0');
+    });
+});
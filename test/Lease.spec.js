@@ -0,0 +1,93 @@
+const test = require('tape-async');
+const Pool = require('../lib/Pool');
+const { spy } = require('sinon');
+
+const { Lease, InvalidLeaseError } = Pool;
+
+function createPool(options) {
+    return new Pool(Object.assign({
+        acquire: () => Promise.resolve({}),
+        dispose: spy(),
+        wrapResources: true,
+    }, options));
+}
+
+test('lease', (group) => {
+    group.test('acquire yields a lease', async (t) => {
+        const pool = createPool();
+        const lease = await pool.acquire();
+        t.ok(lease instanceof Lease, 'lease is Lease');
+        t.ok(lease.valid, 'lease is valid');
+        t.equal(typeof lease.resource, 'object', 'lease resource is the resource');
+        await lease.release();
+        t.notOk(lease.valid, 'lease is invalid once released');
+        t.equal(pool.available, 1, 'resource is available');
+    });
+
+    group.test('use after release throws', async (t) => {
+        const pool = createPool();
+        const lease = await pool.acquire();
+        await lease.release();
+        t.throws(() => lease.resource, InvalidLeaseError, 'resource getter throws');
+        t.throws(() => lease.release(), InvalidLeaseError, 'release throws');
+        t.throws(() => lease.destroy(), InvalidLeaseError, 'destroy throws');
+        t.throws(() => pool.release(lease), InvalidLeaseError, 'pool.release throws');
+        try {
+            lease.release();
+        } catch (err) {
+            t.equal(err.code, 'ERR_POOL_INVALID_LEASE', 'error code match');
+        }
+    });
+
+    group.test('double release does not release another borrow', async (t) => {
+        const pool = createPool({ max: 1 });
+        const lease1 = await pool.acquire();
+        const { resource } = lease1;
+        await lease1.release();
+        const lease2 = await pool.acquire();
+        t.equal(lease2.resource, resource, 'same resource borrowed again');
+        t.throws(() => lease1.release(), InvalidLeaseError, 'stale lease release throws');
+        t.ok(lease2.valid, 'current lease is still valid');
+        t.equal(pool.borrowed, 1, 'resource is still borrowed');
+        await pool.release(lease2);
+        t.equal(pool.borrowed, 0, 'pool.release accepts a lease');
+    });
+
+    group.test('destroy', async (t) => {
+        const dispose = spy();
+        const pool = createPool({ dispose });
+        const lease = await pool.acquire();
+        const { resource } = lease;
+        await pool.destroy(lease);
+        t.notOk(lease.valid, 'lease is invalid once destroyed');
+        t.ok(dispose.calledWith(resource), 'resource disposed');
+        t.equal(pool.size, 0, 'size = 0');
+    });
+
+    group.test('lease is invalid once the resource is destroyed by the pool', async (t) => {
+        const pool = createPool();
+        const lease = await pool.acquire();
+        await pool.end(true);
+        t.notOk(lease.valid, 'lease is invalid');
+    });
+
+    group.test('async dispose', async (t) => {
+        const pool = createPool();
+        const lease = await pool.acquire();
+        await lease[Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose')]();
+        t.notOk(lease.valid, 'lease released');
+        await lease[Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose')]();
+        t.equal(pool.available, 1, 'disposing twice has no effect');
+    });
+
+    group.test('use and acquireDisposable pass the resource', async (t) => {
+        const pool = createPool();
+        const fn = spy();
+        await pool.use(fn);
+        t.notOk(fn.firstCall.args[0] instanceof Lease, 'use callback receives the resource');
+        const disposable = await pool.acquireDisposable();
+        t.notOk(disposable.resource instanceof Lease, 'disposable resource is the resource');
+        await disposable.release();
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+});
@@ -1,7 +1,11 @@
 const test = require('tape-async');
 const Pool = require('../lib/Pool');
-const { spy, stub } = require('sinon');
+const { spy, stub, match } = require('sinon');
 const pick = require('lodash.pick');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Readable } = require('stream');
+
+const { AbortController } = global;
 
 test('pool.size property', async (t) => {
     const settings = {
@@ -90,6 +94,75 @@ test('pool.borrowed property', async (t) => {
     t.equal(pool.borrowed, 0, 'release -> borrowed = 0');
 });
 
+test('pool.metrics method', (group) => {
+    group.test('counters', async (t) => {
+        let counter = 0;
+        const pool = new Pool({
+            acquire: () => (counter++ === 1 ? Promise.reject(new Error('create error')) : Promise.resolve({})),
+            dispose: () => Promise.reject(new Error('dispose error')),
+            validate: () => false,
+            testOnReturn: true,
+            max: 2,
+        });
+
+        const res1 = await pool.acquire();
+        await pool.acquire().catch(() => {});
+        await pool.release(res1).catch(() => {});
+        t.deepEqual(
+            pick(pool.metrics(), [
+                'size', 'available', 'borrowed', 'pending',
+                'created', 'createFailed', 'disposed', 'disposeFailed', 'acquireTimeouts', 'validationFailures',
+            ]),
+            {
+                size: 0,
+                available: 0,
+                borrowed: 0,
+                pending: 0,
+                created: 1,
+                createFailed: 1,
+                disposed: 0,
+                disposeFailed: 1,
+                acquireTimeouts: 0,
+                validationFailures: 1,
+            },
+            'counters match',
+        );
+    });
+
+    group.test('acquire timeouts and pending', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            acquireTimeoutMs: 10,
+        });
+
+        const res = await pool.acquire();
+        const pending = pool.acquire();
+        t.equal(pool.metrics().pending, 1, 'pending = 1');
+        t.equal(pool.stats.pending, 1, 'stats.pending = 1');
+        await pending.catch(() => {});
+        t.equal(pool.metrics().acquireTimeouts, 1, 'acquireTimeouts = 1');
+        await pool.release(res);
+    });
+
+    group.test('histograms', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+
+        const res = await pool.acquire();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await pool.release(res);
+        const { acquireWaitMs, borrowDurationMs } = pool.metrics();
+        t.equal(acquireWaitMs.count, 1, 'acquireWaitMs.count = 1');
+        t.equal(borrowDurationMs.count, 1, 'borrowDurationMs.count = 1');
+        // setTimeout may fire up to a millisecond early
+        t.ok(borrowDurationMs.sum >= 9, 'borrowDurationMs.sum match');
+        t.equal(borrowDurationMs.buckets[0].count, 0, 'borrowDurationMs first bucket is empty');
+    });
+});
+
 test('pool.release method', (group) => {
     group.test('release not pooled resource', async (t) => {
         const settings = {
@@ -365,6 +438,196 @@ test('pool.end method', (group) => {
     });
 });
 
+test('pool.end options', (group) => {
+    group.test('queued acquire calls are rejected', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+            max: 1,
+        });
+        const res = await pool.acquire();
+        const queued = pool.acquire();
+        const end = pool.end();
+        try {
+            await queued;
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolEndedError, 'error is PoolEndedError');
+            t.equal(err.message, 'Pool is ending', 'error "Pool is ending"');
+        }
+        t.equal(pool.pending, 0, 'pending = 0');
+        await pool.release(res);
+        await end;
+        t.equal(pool.size, 0, 'size = 0');
+    });
+
+    group.test('timeoutMs forces end', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+            max: 2,
+        };
+        const pool = new Pool(settings);
+        const res = await pool.acquire();
+        await pool.release(await pool.acquire());
+        await pool.end({ timeoutMs: 10 });
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 0, available: 0, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.calledTwice, 'settings.dispose called twice');
+        t.ok(settings.dispose.calledWith(res), 'borrowed resource disposed');
+    });
+
+    group.test('timeoutMs with onTimeout "reject"', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+        });
+        const res = await pool.acquire();
+        try {
+            await pool.end({ timeoutMs: 10, onTimeout: 'reject' });
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.EndTimeoutError, 'error is EndTimeoutError');
+            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
+            t.equal(err.borrowed, 1, 'error borrowed match');
+        }
+        t.equal(pool.borrowed, 1, 'borrowed resource is kept');
+        await pool.release(res);
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.message, 'Pool is destroyed', 'pool ends once the resource is released');
+        }
+    });
+
+    group.test('invalid onTimeout', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+        });
+        try {
+            await pool.end({ onTimeout: 'wait' });
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(/options.onTimeout must be/.test(err.message), 'error message match');
+        }
+    });
+
+    group.test('end called while ending', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+        };
+        const pool = new Pool(settings);
+        const res = await pool.acquire();
+        const end1 = pool.end();
+        const end2 = pool.end();
+        await pool.release(res);
+        await Promise.all([end1, end2]);
+        t.pass('both end calls resolved');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('end with force called while ending', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+        };
+        const pool = new Pool(settings);
+        await pool.acquire();
+        const end1 = pool.end();
+        await pool.end(true);
+        await end1;
+        t.equal(pool.size, 0, 'borrowed resource destroyed');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('end called while a resource is being created', async (t) => {
+        const settings = {
+            acquire: () => new Promise(resolve => setTimeout(resolve, 10, {})),
+            dispose: spy(),
+        };
+        const pool = new Pool(settings);
+        const acquired = pool.acquire();
+        await new Promise(resolve => setImmediate(resolve));
+        const end = pool.end();
+        try {
+            await acquired;
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolEndedError, 'error is PoolEndedError');
+        }
+        await end;
+        t.equal(pool.size, 0, 'created resource destroyed');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('end called while a request waits for a creation slot', async (t) => {
+        const settings = {
+            acquire: spy(() => new Promise(resolve => setTimeout(resolve, 10, {}))),
+            dispose: spy(),
+            max: 3,
+            maxConcurrentCreates: 1,
+        };
+        const pool = new Pool(settings);
+        const results = [pool.acquire(), pool.acquire()].map(p => p.catch(err => err));
+        await new Promise(resolve => setImmediate(resolve));
+        await pool.end();
+        const [err1, err2] = await Promise.all(results);
+        t.ok(err1 instanceof Pool.PoolEndedError, 'first call rejected');
+        t.ok(err2 instanceof Pool.PoolEndedError, 'waiting call rejected');
+        t.ok(settings.acquire.calledOnce, 'no resource created during shutdown');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('ending event', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+            max: 2,
+        });
+        const ending = spy();
+        pool.on('ending', ending);
+        const res1 = await pool.acquire();
+        const res2 = await pool.acquire();
+        const end = pool.end();
+        await pool.release(res1);
+        await pool.release(res2);
+        await end;
+        t.deepEqual(ending.args.map(([{ borrowed }]) => borrowed), [2, 1, 0], 'borrowed count match');
+        t.equal(typeof ending.firstCall.args[0].elapsedMs, 'number', 'elapsedMs is a number');
+    });
+
+    group.test('endOnSignal', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+        });
+        // keeps the signal from being raised again
+        const onSignal = spy();
+        process.on('SIGUSR2', onSignal);
+        const listeners = process.listenerCount('SIGUSR2');
+        const remove = pool.endOnSignal('SIGUSR2');
+        t.equal(process.listenerCount('SIGUSR2'), listeners + 1, 'signal handler added');
+        remove();
+        t.equal(process.listenerCount('SIGUSR2'), listeners, 'signal handler removed');
+
+        pool.endOnSignal('SIGUSR2');
+        process.emit('SIGUSR2');
+        process.removeListener('SIGUSR2', onSignal);
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.message, 'Pool is destroyed', 'pool is ended');
+        }
+    });
+});
+
 test('pool acquire setting', (group) => {
     group.test('create/destroy (promise) ok', async (t) => {
         let counter = 1;
@@ -458,7 +721,7 @@ test('pool acquire/dispose setting error handling', (group) => {
             .catch(createErrorStub)
             .then(() => {
                 t.ok(createErrorStub.calledOnce, 'create error catched once');
-                t.ok(createErrorStub.calledWith(createError), 'create error `err` match');
+                t.ok(createErrorStub.calledWith(match.has('cause', createError)), 'create error `err.cause` match');
             });
     });
 
@@ -477,7 +740,7 @@ test('pool acquire/dispose setting error handling', (group) => {
         try {
             await pool.acquire();
         } catch (err) {
-            t.equal(err, createError, 'create error `err` match');
+            t.equal(err.cause, createError, 'create error `err.cause` match');
         }
     });
 
@@ -497,7 +760,7 @@ test('pool acquire/dispose setting error handling', (group) => {
             .catch(destroyErrorStub)
             .then(() => {
                 t.ok(destroyErrorStub.calledOnce, 'destroy error catched once');
-                t.ok(destroyErrorStub.calledWith(destroyError), 'destroy error `err` match');
+                t.ok(destroyErrorStub.calledWith(match.has('cause', destroyError)), 'destroy error `err.cause` match');
             });
     });
 
@@ -518,7 +781,7 @@ test('pool acquire/dispose setting error handling', (group) => {
             .catch(createErrorStub)
             .then(() => {
                 t.ok(createErrorStub.calledOnce, 'create error catched once');
-                t.ok(createErrorStub.calledWith(createError), 'create error `err` match');
+                t.ok(createErrorStub.calledWith(match.has('cause', createError)), 'create error `err.cause` match');
             });
     });
 
@@ -538,7 +801,7 @@ test('pool acquire/dispose setting error handling', (group) => {
             .catch(destroyErrorStub)
             .then(() => {
                 t.ok(destroyErrorStub.calledOnce, 'destroy error catched once');
-                t.ok(destroyErrorStub.calledWith(destroyError), 'destroy error `err` match');
+                t.ok(destroyErrorStub.calledWith(match.has('cause', destroyError)), 'destroy error `err.cause` match');
             });
     });
 
@@ -560,7 +823,7 @@ test('pool acquire/dispose setting error handling', (group) => {
             .catch(createErrorStub)
             .then(() => {
                 t.ok(createErrorStub.calledOnce, 'create error catched once');
-                t.ok(createErrorStub.calledWith(createError), 'create error `err` match');
+                t.ok(createErrorStub.calledWith(match.has('cause', createError)), 'create error `err.cause` match');
             });
     });
 
@@ -582,70 +845,1932 @@ test('pool acquire/dispose setting error handling', (group) => {
             .catch(destroyErrorStub)
             .then(() => {
                 t.ok(destroyErrorStub.calledOnce, 'destroy error catched once');
-                t.ok(destroyErrorStub.calledWith(destroyError), 'destroy error `err` match');
+                t.ok(destroyErrorStub.calledWith(match.has('cause', destroyError)), 'destroy error `err.cause` match');
             });
     });
 });
 
-test('pool maxWaitingClients option', (group) => {
-    group.test('error if max waiting clients count exceeded', async (t) => {
+test('pool min option', (group) => {
+    group.test('creates min resources in background', async (t) => {
         const settings = {
-            acquire: () => Promise.resolve(),
-            dispose: () => Promise.resolve(),
-            min: 0,
-            max: 1,
-            maxWaitingClients: 2,
+            acquire: stub().callsFake(() => Promise.resolve({})),
+            dispose: stub(),
+            min: 2,
+            max: 4,
+        };
+        const pool = new Pool(settings);
+        const ready = spy();
+        pool.on('ready', ready);
+
+        t.equal(pool.size, 0, 'initial -> size = 0');
+        await pool.ready();
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 2, available: 2, borrowed: 0 },
+            'ready state match',
+        );
+        t.ok(ready.calledOnce, 'ready event emitted once');
+        t.ok(settings.acquire.calledTwice, 'settings.acquire called twice');
+    });
+
+    group.test('replenishes after destroy', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => Promise.resolve({})),
+            dispose: stub(),
+            min: 2,
+            max: 4,
+        };
+        const pool = new Pool(settings);
+
+        await pool.ready();
+        const res = await pool.acquire();
+        await pool.destroy(res);
+        await new Promise(resolve => setImmediate(resolve));
+        t.equal(pool.size, 2, 'size is back to min');
+        t.equal(settings.acquire.callCount, 3, 'settings.acquire called 3 times');
+    });
+
+    group.test('replenishes after failed dispose', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => Promise.resolve({})),
+            dispose: () => Promise.reject(new Error('dispose error')),
+            min: 1,
+            max: 2,
+        };
+        const pool = new Pool(settings);
+
+        await pool.ready();
+        await pool.destroy(await pool.acquire()).catch(() => {});
+        await new Promise(resolve => setImmediate(resolve));
+        t.equal(pool.size, 1, 'size is back to min');
+    });
+
+    group.test('does not exceed max while warming up', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => new Promise(resolve => setTimeout(resolve, 5, {}))),
+            dispose: stub(),
+            min: 2,
+            max: 2,
+        };
+        const pool = new Pool(settings);
+
+        await new Promise(resolve => setImmediate(resolve));
+        const res1 = await pool.acquire();
+        const res2 = await pool.acquire();
+        t.notEqual(res1, res2, 'res1 is not equal to res2');
+        t.equal(pool.size, 2, 'size = 2');
+        t.ok(settings.acquire.calledTwice, 'settings.acquire called twice');
+    });
+
+    group.test('ready yields warm-up error', async (t) => {
+        const createError = new Error('create error');
+        const settings = {
+            acquire: () => Promise.reject(createError),
+            dispose: stub(),
+            min: 1,
         };
         const pool = new Pool(settings);
 
-        const res1 = pool.acquire();
-        const res2 = pool.acquire();
         try {
-            await pool.acquire();
+            await pool.ready();
+            t.fail('should throw error');
         } catch (err) {
-            t.equal(err.message, 'Max waiting clients count exceeded [2]', 'error message match');
+            t.equal(err.cause, createError, 'create error `err.cause` match');
+        }
+    });
+
+    group.test('ready with min = 0', async (t) => {
+        const pool = new Pool({ acquire: () => Promise.resolve({}), dispose() {} });
+        await new Promise(resolve => pool.ready(resolve));
+        t.equal(pool.size, 0, 'size = 0');
+    });
+
+    group.test('ready yields PoolEndedError if end is called while warming up', async (t) => {
+        const pool = new Pool({
+            acquire: () => new Promise(resolve => setTimeout(resolve, 30, {})),
+            dispose() {},
+            min: 2,
+        });
+        const ready = pool.ready().catch(err => err);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await pool.end();
+        t.ok(await ready instanceof Pool.PoolEndedError, 'pending ready call rejected');
+        try {
+            await pool.ready();
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolEndedError, 'ready after end rejected');
         }
-        await pool.release(await res1);
-        await pool.release(await res2);
-        await pool.acquire();
     });
 });
 
-test('pool timeout options', (group) => {
-    group.test('acquireTimeoutMs', async (t) => {
+test('pool validate option', (group) => {
+    group.test('testOnBorrow replaces invalid resource', async (t) => {
+        let counter = 1;
         const settings = {
-            acquire(cb) {
-                setTimeout(cb, 15);
-            },
-            dispose: () => Promise.resolve(),
-            min: 0,
-            max: 1,
-            acquireTimeoutMs: 10,
+            acquire: () => Promise.resolve(`resource-${counter++}`),
+            dispose: stub(),
+            validate: stub().callsFake(resource => resource !== 'resource-1'),
+            testOnBorrow: true,
+            max: 2,
         };
         const pool = new Pool(settings);
-        try {
-            await pool.acquire();
-        } catch (err) {
-            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
-        }
+
+        const res1 = await pool.acquire();
+        t.equal(res1, 'resource-1', 'first acquire yields `resource-1`');
+        t.ok(settings.validate.notCalled, 'settings.validate not called for new resource');
+        await pool.release(res1);
+        const res2 = await pool.acquire();
+        t.equal(res2, 'resource-2', 'second acquire yields `resource-2`');
+        t.ok(settings.validate.calledWith('resource-1'), 'settings.validate called with `resource-1`');
+        t.ok(settings.dispose.calledWith('resource-1'), 'settings.dispose called with `resource-1`');
+        t.equal(pool.size, 1, 'size = 1');
     });
 
-    group.test('releaseTimeoutMs', async (t) => {
+    group.test('testOnBorrow (callback) error', async (t) => {
         const settings = {
-            acquire: () => Promise.resolve(),
-            dispose(resource, cb) {
-                setTimeout(cb, 15);
-            },
-            min: 0,
-            max: 1,
-            releaseTimeoutMs: 10,
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            validate: (resource, cb) => cb(new Error('validate error')),
+            testOnBorrow: true,
         };
         const pool = new Pool(settings);
-        const res = await pool.acquire();
-        try {
-            await pool.release(res);
-        } catch (err) {
-            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
-        }
+
+        const res1 = await pool.acquire();
+        await pool.release(res1);
+        const res2 = await pool.acquire();
+        t.notEqual(res1, res2, 'res1 is not equal to res2');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('testOnReturn destroys invalid resource', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            validate: () => Promise.resolve(false),
+            testOnReturn: true,
+        };
+        const pool = new Pool(settings);
+
+        await pool.release(await pool.acquire());
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 0, available: 0, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('testOnReturn resource destroyed while being validated', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+            validate: () => new Promise(resolve => setTimeout(resolve, 10, true)),
+            testOnReturn: true,
+        };
+        const pool = new Pool(settings);
+
+        const res1 = await pool.acquire();
+        const released = pool.release(res1);
+        await pool.destroy(res1);
+        await released;
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 0, available: 0, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+        t.notEqual(await pool.acquire(), res1, 'new resource acquired');
+    });
+
+    group.test('testOnBorrow resource destroyed while being validated', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: spy(),
+            validate: () => new Promise(resolve => setTimeout(resolve, 10, true)),
+            testOnBorrow: true,
+        };
+        const pool = new Pool(settings);
+
+        const res1 = await pool.acquire();
+        await pool.release(res1);
+        const acquired = pool.acquire();
+        await new Promise(resolve => setImmediate(resolve));
+        await pool.destroy(res1);
+        const res2 = await acquired;
+        t.notEqual(res2, res1, 'new resource acquired');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 0, borrowed: 1 },
+            'final state match',
+        );
+    });
+
+    group.test('validate is not used without testOnBorrow/testOnReturn', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            validate: stub().returns(false),
+        };
+        const pool = new Pool(settings);
+
+        const res1 = await pool.acquire();
+        await pool.release(res1);
+        t.equal(await pool.acquire(), res1, 'res1 is reused');
+        t.ok(settings.validate.notCalled, 'settings.validate never called');
+    });
+});
+
+test('pool idleTimeoutMs option', (group) => {
+    group.test('evicts idle resources down to min', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            min: 1,
+            max: 3,
+            idleTimeoutMs: 10,
+            evictionRunIntervalMs: 5,
+        };
+        const pool = new Pool(settings);
+        const evict = spy();
+        pool.on('evict', evict);
+
+        const resources = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+        await Promise.all(resources.map(resource => pool.release(resource)));
+        t.equal(pool.available, 3, 'initial available = 3');
+        await new Promise(resolve => setTimeout(resolve, 40));
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(evict.calledTwice, 'evict event emitted twice');
+        t.ok(settings.dispose.calledTwice, 'settings.dispose called twice');
+        await pool.end();
+    });
+
+    group.test('numTestsPerEvictionRun', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            max: 3,
+            idleTimeoutMs: 1,
+            evictionRunIntervalMs: 20,
+            numTestsPerEvictionRun: 2,
+        };
+        const pool = new Pool(settings);
+
+        const resources = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+        await Promise.all(resources.map(resource => pool.release(resource)));
+        await new Promise(resolve => setTimeout(resolve, 30));
+        t.equal(pool.size, 1, 'two resources evicted on first run');
+        await pool.end();
+    });
+
+    group.test('borrowed resources are not evicted', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            idleTimeoutMs: 1,
+            evictionRunIntervalMs: 5,
+        };
+        const pool = new Pool(settings);
+
+        const res = await pool.acquire();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        t.equal(pool.borrowed, 1, 'borrowed = 1');
+        t.ok(settings.dispose.notCalled, 'settings.dispose never called');
+        await pool.release(res);
+        await pool.end();
+    });
+
+    group.test('end stops evictor', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            idleTimeoutMs: 10,
+        });
+
+        t.ok(pool._evictor, 'evictor is running');
+        await pool.end();
+        t.equal(pool._evictor, null, 'evictor is stopped');
+    });
+});
+
+test('pool maxLifetimeMs/maxUses options', (group) => {
+    group.test('expired available resource is disposed before borrow', async (t) => {
+        let counter = 1;
+        const settings = {
+            acquire: () => Promise.resolve(`resource-${counter++}`),
+            dispose: stub(),
+            maxLifetimeMs: 10,
+        };
+        const pool = new Pool(settings);
+
+        await pool.release(await pool.acquire());
+        await new Promise(resolve => setTimeout(resolve, 15));
+        t.equal(await pool.acquire(), 'resource-2', 'second acquire yields `resource-2`');
+        t.ok(settings.dispose.calledWith('resource-1'), 'settings.dispose called with `resource-1`');
+        t.equal(pool.size, 1, 'size = 1');
+    });
+
+    group.test('expired borrowed resource is disposed on release', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            maxLifetimeMs: 10,
+        };
+        const pool = new Pool(settings);
+
+        const res = await pool.acquire();
+        await new Promise(resolve => setTimeout(resolve, 15));
+        await pool.release(res);
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 0, available: 0, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('maxLifetimeJitterMs', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            maxLifetimeMs: 1000,
+            maxLifetimeJitterMs: 500,
+        });
+
+        const res = await pool.acquire();
+        const { createdAt, expiresAt } = pool._rMeta.get(res);
+        t.ok(expiresAt - createdAt >= 1000 && expiresAt - createdAt < 1500, 'lifetime is within jitter range');
+    });
+
+    group.test('maxUses', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => Promise.resolve({})),
+            dispose: stub(),
+            maxUses: 2,
+        };
+        const pool = new Pool(settings);
+
+        const res1 = await pool.acquire();
+        await pool.release(res1);
+        const res2 = await pool.acquire();
+        await pool.release(res2);
+        t.equal(res1, res2, 'resource reused once');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called after second use');
+        const res3 = await pool.acquire();
+        t.notEqual(res3, res1, 'new resource created');
+        t.ok(settings.acquire.calledTwice, 'settings.acquire called twice');
+    });
+});
+
+test('pool acquireRetries option', (group) => {
+    group.test('retries failed creation', async (t) => {
+        const createError = new Error('create error');
+        let counter = 0;
+        const settings = {
+            acquire: stub().callsFake(() => {
+                counter++;
+                return counter < 3 ? Promise.reject(createError) : Promise.resolve('resource-1');
+            }),
+            dispose() {},
+            acquireRetries: 2,
+            acquireRetryBaseDelayMs: 5,
+        };
+        const pool = new Pool(settings);
+        const acquireRetry = spy();
+        pool.on('acquireRetry', acquireRetry);
+
+        t.equal(await pool.acquire(), 'resource-1', 'acquire yields `resource-1`');
+        t.ok(settings.acquire.calledThrice, 'settings.acquire called three times');
+        t.ok(acquireRetry.calledTwice, 'acquireRetry event emitted twice');
+        t.deepEqual(acquireRetry.firstCall.args, [createError, 1, 5], 'first acquireRetry event args match');
+        t.deepEqual(acquireRetry.secondCall.args, [createError, 2, 10], 'second acquireRetry event args match');
+        t.equal(pool.metrics().createFailed, 2, 'createFailed = 2');
+    });
+
+    group.test('gives up after acquireRetries', async (t) => {
+        const createError = new Error('create error');
+        const settings = {
+            acquire: stub().callsFake(() => Promise.reject(createError)),
+            dispose() {},
+            acquireRetries: 2,
+            acquireRetryBaseDelayMs: 1,
+        };
+        const pool = new Pool(settings);
+
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.cause, createError, 'create error `err.cause` match');
+        }
+        t.ok(settings.acquire.calledThrice, 'settings.acquire called three times');
+    });
+
+    group.test('acquireRetryIf', async (t) => {
+        const createError = new Error('auth error');
+        const settings = {
+            acquire: stub().callsFake(() => Promise.reject(createError)),
+            dispose() {},
+            acquireRetries: 2,
+            acquireRetryBaseDelayMs: 1,
+            acquireRetryIf: err => err.message !== 'auth error',
+        };
+        const pool = new Pool(settings);
+
+        await pool.acquire().catch(() => {});
+        t.ok(settings.acquire.calledOnce, 'settings.acquire called once');
+    });
+
+    group.test('retries fit into acquireTimeoutMs', async (t) => {
+        const createError = new Error('create error');
+        const settings = {
+            acquire: stub().callsFake(() => Promise.reject(createError)),
+            dispose() {},
+            acquireTimeoutMs: 30,
+            acquireRetries: 10,
+            acquireRetryBaseDelayMs: 10,
+        };
+        const pool = new Pool(settings);
+
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.cause, createError, 'create error `err.cause` match');
+        }
+        t.ok(settings.acquire.calledTwice, 'settings.acquire called twice');
+    });
+
+    group.test('retry delay is capped with acquireRetryMaxDelayMs', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => Promise.reject(new Error('create error'))),
+            dispose() {},
+            acquireRetries: 3,
+            acquireRetryBaseDelayMs: 2,
+            acquireRetryMaxDelayMs: 3,
+            acquireRetryJitter: 0.5,
+        };
+        const pool = new Pool(settings);
+        const acquireRetry = spy();
+        pool.on('acquireRetry', acquireRetry);
+
+        await pool.acquire().catch(() => {});
+        const delays = acquireRetry.args.map(args => args[2]);
+        t.equal(delays.length, 3, 'acquireRetry event emitted three times');
+        t.ok(delays.every(delay => delay >= 1 && delay <= 3), 'delays are within range');
+    });
+
+    group.test('end cancels pending retries', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => Promise.reject(new Error('create error'))),
+            dispose() {},
+            acquireRetries: 5,
+            acquireRetryBaseDelayMs: 1000,
+        };
+        const pool = new Pool(settings);
+        const acquired = pool.acquire().catch(err => err);
+        await new Promise(resolve => pool.once('acquireRetry', resolve));
+        const startedAt = Date.now();
+        await pool.end();
+        t.ok(Date.now() - startedAt < 500, 'end does not wait for the retry delay');
+        t.ok(await acquired instanceof Pool.PoolEndedError, 'acquire yields PoolEndedError');
+        t.ok(settings.acquire.calledOnce, 'settings.acquire not called again');
+    });
+});
+
+test('pool circuitBreaker option', (group) => {
+    group.test('fails fast while circuit is open', async (t) => {
+        const createError = new Error('create error');
+        const settings = {
+            acquire: stub().callsFake(() => Promise.reject(createError)),
+            dispose() {},
+            circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 1000 },
+        };
+        const pool = new Pool(settings);
+        const circuitOpen = spy();
+        pool.on('circuitOpen', circuitOpen);
+
+        await pool.acquire().catch(() => {});
+        await pool.acquire().catch(() => {});
+        t.ok(circuitOpen.calledOnce, 'circuitOpen event emitted once');
+        t.equal(pool.stats.circuit, 'open', 'stats.circuit is open');
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolUnavailableError, 'error is PoolUnavailableError');
+            t.equal(err.code, 'ERR_POOL_UNAVAILABLE', 'error code match');
+            t.equal(err.cause, createError, 'error cause match');
+        }
+        t.ok(settings.acquire.calledTwice, 'settings.acquire called twice');
+    });
+
+    group.test('available resources are served while circuit is open', async (t) => {
+        let fail = false;
+        const pool = new Pool({
+            acquire: () => (fail ? Promise.reject(new Error('create error')) : Promise.resolve({})),
+            dispose() {},
+            max: 2,
+            circuitBreaker: { failureThreshold: 1 },
+        });
+
+        const res = await pool.acquire();
+        await pool.release(res);
+        fail = true;
+        await Promise.all([pool.acquire(), pool.acquire().catch(() => {})]);
+        t.equal(pool.stats.circuit, 'open', 'stats.circuit is open');
+        t.equal(pool.borrowed, 1, 'available resource is borrowed');
+    });
+
+    group.test('closes after successful trial', async (t) => {
+        let fail = true;
+        const pool = new Pool({
+            acquire: () => (fail ? Promise.reject(new Error('create error')) : Promise.resolve({})),
+            dispose() {},
+            circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 10 },
+        });
+        const circuitClose = spy();
+        pool.on('circuitClose', circuitClose);
+
+        await pool.acquire().catch(() => {});
+        t.equal(pool.stats.circuit, 'open', 'stats.circuit is open');
+        fail = false;
+        await new Promise(resolve => setTimeout(resolve, 15));
+        await pool.release(await pool.acquire());
+        t.equal(pool.stats.circuit, 'closed', 'stats.circuit is closed');
+        t.ok(circuitClose.calledOnce, 'circuitClose event emitted once');
+    });
+});
+
+test('pool.resize method', (group) => {
+    group.test('raising max serves queued waiters', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 1,
+        });
+        const resize = spy();
+        pool.on('resize', resize);
+
+        await pool.acquire();
+        const pending = pool.acquire();
+        await new Promise(resolve => setImmediate(resolve));
+        t.equal(pool.pending, 1, 'pending = 1');
+        pool.resize({ max: 2 });
+        await pending;
+        t.equal(pool.borrowed, 2, 'borrowed = 2');
+        t.ok(resize.calledWith({ min: 0, max: 2, previous: { min: 0, max: 1 } }), 'resize event emitted');
+    });
+
+    group.test('lowering max retires surplus resources', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            max: 3,
+        };
+        const pool = new Pool(settings);
+
+        const res1 = await pool.acquire();
+        const res2 = await pool.acquire();
+        const res3 = await pool.acquire();
+        await pool.release(res3);
+        pool.resize({ max: 1 });
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 2, available: 0, borrowed: 2 },
+            'available surplus disposed, borrowed kept',
+        );
+        await pool.release(res1);
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 0, borrowed: 1 },
+            'released surplus disposed',
+        );
+        await pool.release(res2);
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.calledTwice, 'settings.dispose called twice');
+    });
+
+    group.test('lowered max limits concurrency', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 2,
+            acquireTimeoutMs: 10,
+        });
+
+        const res = await pool.acquire();
+        pool.resize({ max: 1 });
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
+        }
+        await pool.release(res);
+    });
+
+    group.test('raising min creates resources', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 3,
+        });
+
+        pool.resize({ min: 2 });
+        await new Promise(resolve => setImmediate(resolve));
+        t.equal(pool.size, 2, 'size = 2');
+    });
+
+    group.test('invalid limits', async (t) => {
+        const pool = new Pool({ acquire: () => Promise.resolve({}), dispose() {} });
+
+        t.throws(() => pool.resize({ max: 0 }), /limits.max must be a positive integer/, 'max = 0 throws');
+        t.throws(() => pool.resize({ min: -1 }), /limits.min must be a non-negative integer/, 'min = -1 throws');
+        t.throws(() => pool.resize({ size: 1 }), /Unknown options key "size"/, 'unknown key throws');
+    });
+});
+
+test('pool maxWaitingClients option', (group) => {
+    group.test('error if max waiting clients count exceeded', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve(),
+            dispose: () => Promise.resolve(),
+            min: 0,
+            max: 1,
+            maxWaitingClients: 2,
+        };
+        const pool = new Pool(settings);
+
+        const res1 = pool.acquire();
+        const res2 = pool.acquire();
+        try {
+            await pool.acquire();
+        } catch (err) {
+            t.equal(err.message, 'Max waiting clients count exceeded [2]', 'error message match');
+        }
+        await pool.release(await res1);
+        await pool.release(await res2);
+        await pool.acquire();
+    });
+
+    group.test('limit for each priority level', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 1,
+            priorityLevels: 2,
+            maxWaitingClients: [1, 2],
+        });
+
+        const res = await pool.acquire();
+        const pending = [pool.acquire({ priority: 0 }), pool.acquire({ priority: 1 }), pool.acquire({ priority: 1 })];
+        try {
+            await pool.acquire({ priority: 0 });
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.message, 'Max waiting clients count exceeded [1]', 'error message match');
+        }
+        try {
+            await pool.acquire({ priority: 1 });
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.message, 'Max waiting clients count exceeded [2]', 'error message match');
+        }
+        await pool.release(res);
+        await Promise.all(pending.map(p => p.then(r => pool.release(r))));
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+
+    group.test('limit array must match priority levels', async (t) => {
+        t.throws(() => new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            priorityLevels: 3,
+            maxWaitingClients: [1, 2],
+        }), /must have a limit for each priority level/, 'throws assertion error');
+    });
+});
+
+test('pool acquire signal option', (group) => {
+    group.test('already aborted signal', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => Promise.resolve({})),
+            dispose: stub(),
+        };
+        const pool = new Pool(settings);
+        const controller = new AbortController();
+        controller.abort();
+
+        try {
+            await pool.acquire({ signal: controller.signal });
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.name, 'AbortError', 'error name is AbortError');
+        }
+        t.ok(settings.acquire.notCalled, 'settings.acquire never called');
+    });
+
+    group.test('abort queued acquire', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 1,
+        });
+        const controller = new AbortController();
+
+        const res = await pool.acquire();
+        const pending = pool.acquire({ signal: controller.signal });
+        await new Promise(resolve => setImmediate(resolve));
+        controller.abort();
+        try {
+            await pending;
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.code, 'ABORT_ERR', 'error code is ABORT_ERR');
+        }
+        t.equal(pool._queue.length(), 0, 'queue is empty');
+        await pool.release(res);
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+    });
+
+    group.test('abort while resource is being created', async (t) => {
+        const pool = new Pool({
+            acquire(cb) {
+                setTimeout(cb, 10, null, {});
+            },
+            dispose() {},
+        });
+        const controller = new AbortController();
+
+        const pending = pool.acquire({ signal: controller.signal });
+        setTimeout(() => controller.abort(), 5);
+        try {
+            await pending;
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.name, 'AbortError', 'error name is AbortError');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+    });
+
+    group.test('abort after acquire has no effect', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+        const controller = new AbortController();
+
+        const res = await new Promise((resolve, reject) => {
+            pool.acquire({ signal: controller.signal }, (err, resource) => (err ? reject(err) : resolve(resource)));
+        });
+        controller.abort();
+        t.equal(pool.borrowed, 1, 'borrowed = 1');
+        await pool.release(res);
+    });
+});
+
+test('pool.use method', (group) => {
+    group.test('releases resource and returns result (promise)', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve('resource-1'),
+            dispose: stub(),
+        });
+
+        const result = await pool.use(async resource => `${resource}-result`);
+        t.equal(result, 'resource-1-result', 'result match');
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+    });
+
+    group.test('releases resource and returns result (callback)', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve('resource-1'),
+            dispose: stub(),
+        });
+
+        const result = await new Promise((resolve, reject) => {
+            pool.use(
+                (resource, done) => setImmediate(done, null, `${resource}-result`),
+                (err, res) => (err ? reject(err) : resolve(res)),
+            );
+        });
+        t.equal(result, 'resource-1-result', 'result match');
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+
+    group.test('releases resource on error', async (t) => {
+        const useError = new Error('use error');
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+        };
+        const pool = new Pool(settings);
+
+        try {
+            await pool.use(() => {
+                throw useError;
+            });
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err, useError, 'use error `err` match');
+        }
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.notCalled, 'settings.dispose never called');
+    });
+
+    group.test('destroys resource on error matching destroyOnError', async (t) => {
+        const resetError = new Error('connection reset');
+        resetError.code = 'ECONNRESET';
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            destroyOnError: err => err.code === 'ECONNRESET',
+        };
+        const pool = new Pool(settings);
+
+        try {
+            await pool.use(() => Promise.reject(resetError));
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err, resetError, 'use error `err` match');
+        }
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 0, available: 0, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+
+    group.test('passes acquire options', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+        const controller = new AbortController();
+        controller.abort();
+
+        try {
+            await pool.use({ signal: controller.signal }, () => t.fail('should not be called'));
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.name, 'AbortError', 'error name is AbortError');
+        }
+    });
+});
+
+test('pool.acquireDisposable method', (group) => {
+    group.test('releases resource on dispose', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve('resource-1'),
+            dispose: stub(),
+        });
+
+        const disposable = await pool.acquireDisposable();
+        t.equal(disposable.resource, 'resource-1', 'resource match');
+        t.equal(pool.borrowed, 1, 'borrowed = 1');
+        await disposable[Symbol.asyncDispose || Symbol.for('nodejs.asyncDispose')]();
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+        await disposable.release();
+        t.equal(pool.available, 1, 'second release is ignored');
+    });
+
+    group.test('destroy', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+        };
+        const pool = new Pool(settings);
+
+        const disposable = await pool.acquireDisposable();
+        await disposable.destroy();
+        t.equal(pool.size, 0, 'size = 0');
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+});
+
+test('pool priorityLevels option', (group) => {
+    group.test('higher priority waiters are served first', async (t) => {
+        let counter = 1;
+        const pool = new Pool({
+            acquire: () => Promise.resolve(`resource-${counter++}`),
+            dispose() {},
+            max: 1,
+            priorityLevels: 3,
+        });
+        const order = [];
+        const served = name => (r) => {
+            order.push(name);
+            return pool.release(r);
+        };
+
+        const res = await pool.acquire();
+        const pending = [
+            pool.acquire({ priority: 2 }).then(served('low-1')),
+            pool.acquire({ priority: 1 }).then(served('mid-1')),
+            pool.acquire({ priority: 2 }).then(served('low-2')),
+            pool.acquire({ priority: 0 }).then(served('high-1')),
+            pool.acquire({ priority: 1 }).then(served('mid-2')),
+        ];
+        await new Promise(resolve => setImmediate(resolve));
+        await pool.release(res);
+        await Promise.all(pending);
+        t.deepEqual(order, ['high-1', 'mid-1', 'mid-2', 'low-1', 'low-2'], 'served in priority order');
+    });
+
+    group.test('out of range priority is clamped', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            priorityLevels: 2,
+        });
+
+        await pool.release(await pool.acquire({ priority: 5 }));
+        await pool.release(await pool.acquire({ priority: -1 }));
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+
+    group.test('timed out waiter frees its priority level slot', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 1,
+            priorityLevels: 2,
+            maxWaitingClients: [1, 1],
+            acquireTimeoutMs: 10,
+        });
+
+        const res = await pool.acquire();
+        await pool.acquire({ priority: 1 }).catch(() => {});
+        const pending = pool.acquire({ priority: 1 });
+        await pool.release(res);
+        await pool.release(await pending);
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+});
+
+test('pool leak detection options', (group) => {
+    group.test('leak event', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve('resource-1'),
+            dispose() {},
+            leakDetectionThresholdMs: 10,
+        });
+        const leak = spy();
+        pool.on('leak', leak);
+
+        const res = await pool.acquire();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        t.ok(leak.calledOnce, 'leak event emitted once');
+        const [resource, age, stack] = leak.firstCall.args;
+        t.equal(resource, 'resource-1', 'leak event resource match');
+        t.ok(age > 0, 'leak event age match');
+        t.ok(/Pool\.spec\.js/.test(stack), 'leak event stack points to acquire call');
+        await pool.release(res);
+    });
+
+    group.test('no leak event for released resource', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            leakDetectionThresholdMs: 10,
+        });
+        const leak = spy();
+        pool.on('leak', leak);
+
+        await pool.release(await pool.acquire());
+        await new Promise(resolve => setTimeout(resolve, 20));
+        t.ok(leak.notCalled, 'leak event never emitted');
+    });
+
+    group.test('reclaimLeakedAfterMs', async (t) => {
+        const settings = {
+            acquire: stub().callsFake(() => Promise.resolve({})),
+            dispose: stub(),
+            max: 1,
+            reclaimLeakedAfterMs: 10,
+        };
+        const pool = new Pool(settings);
+
+        const res1 = await pool.acquire();
+        const res2 = await pool.acquire();
+        t.notEqual(res1, res2, 'leaked resource replaced');
+        t.ok(settings.dispose.calledWith(res1), 'settings.dispose called with leaked resource');
+        await pool.release(res2);
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+});
+
+test('pool timeout options', (group) => {
+    group.test('acquireTimeoutMs', async (t) => {
+        const settings = {
+            acquire(cb) {
+                setTimeout(cb, 15);
+            },
+            dispose: () => Promise.resolve(),
+            min: 0,
+            max: 1,
+            acquireTimeoutMs: 10,
+        };
+        const pool = new Pool(settings);
+        try {
+            await pool.acquire();
+        } catch (err) {
+            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
+        }
+    });
+
+    group.test('releaseTimeoutMs', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve(),
+            dispose(resource, cb) {
+                setTimeout(cb, 15);
+            },
+            min: 0,
+            max: 1,
+            releaseTimeoutMs: 10,
+        };
+        const pool = new Pool(settings);
+        const res = await pool.acquire();
+        try {
+            await pool.release(res);
+        } catch (err) {
+            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
+        }
+    });
+
+    group.test('timed out waiter is removed from queue', async (t) => {
+        const settings = {
+            acquire: () => Promise.resolve({}),
+            dispose: stub(),
+            max: 1,
+            acquireTimeoutMs: 10,
+        };
+        const pool = new Pool(settings);
+        const res = await pool.acquire();
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
+        }
+        await pool.release(res);
+        await new Promise(resolve => setImmediate(resolve));
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+        t.equal(await pool.acquire(), res, 'resource can be acquired again');
+    });
+
+    group.test('resource created after timeout is returned to the pool', async (t) => {
+        const settings = {
+            acquire(cb) {
+                setTimeout(cb, 15, null, {});
+            },
+            dispose: stub(),
+            max: 1,
+            acquireTimeoutMs: 10,
+        };
+        const pool = new Pool(settings);
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err.code, 'ETIMEDOUT', 'error code is ETIMEDOUT');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 1, available: 1, borrowed: 0 },
+            'final state match',
+        );
+        await pool.release(await pool.acquire());
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+
+    group.test('resource created after timeout is disposed if pool is ending', async (t) => {
+        const settings = {
+            acquire(cb) {
+                setTimeout(cb, 15, null, {});
+            },
+            dispose: stub(),
+            max: 1,
+            acquireTimeoutMs: 10,
+        };
+        const pool = new Pool(settings);
+        await pool.acquire().catch(() => {});
+        await pool.end();
+        t.deepEqual(
+            pick(pool, ['size', 'available', 'borrowed']),
+            { size: 0, available: 0, borrowed: 0 },
+            'final state match',
+        );
+        t.ok(settings.dispose.calledOnce, 'settings.dispose called once');
+    });
+});
+
+test('pool lifecycle events', (group) => {
+    group.test('resource lifecycle', async (t) => {
+        const res = {};
+        const pool = new Pool({
+            acquire: cb => cb(null, res),
+            dispose: (resource, cb) => cb(),
+            max: 1,
+        });
+        const events = [];
+        ['createRequest', 'create', 'acquireRequest', 'acquire', 'release', 'destroy', 'dispose'].forEach((name) => {
+            pool.on(name, payload => events.push([name, payload]));
+        });
+        await pool.release(await pool.acquire());
+        await pool.destroy(await pool.acquire());
+        t.deepEqual(events.map(([name]) => name), [
+            'acquireRequest', 'createRequest', 'create', 'acquire', 'release',
+            'acquireRequest', 'acquire', 'destroy', 'release', 'dispose',
+        ], 'events order match');
+        events.filter(([name]) => name !== 'acquireRequest').forEach(([name, payload]) => {
+            t.equal(payload.id, 1, `${name} resource id match`);
+        });
+        t.deepEqual(
+            events.filter(([name]) => name === 'acquire').map(([, payload]) => payload.requestId),
+            [1, 2],
+            'acquire request ids match',
+        );
+        const [, release] = events.find(([name]) => name === 'release');
+        t.equal(release.resource, res, 'release resource match');
+        t.equal(typeof release.holdMs, 'number', 'release holdMs is a number');
+        const [, acquire] = events.find(([name]) => name === 'acquire');
+        t.equal(typeof acquire.waitMs, 'number', 'acquire waitMs is a number');
+    });
+
+    group.test('createFail and disposeFail', async (t) => {
+        const createError = new Error('create');
+        const disposeError = new Error('dispose');
+        const acquire = stub();
+        acquire.onCall(0).yields(createError);
+        acquire.yields(null, {});
+        const pool = new Pool({
+            acquire: cb => acquire(cb),
+            dispose: (resource, cb) => cb(disposeError),
+        });
+        const onCreateFail = spy();
+        const onDisposeFail = spy();
+        pool.on('createFail', onCreateFail);
+        pool.on('disposeFail', onDisposeFail);
+        await pool.acquire().catch(() => {});
+        const res = await pool.acquire();
+        await pool.destroy(res).catch(() => {});
+        t.ok(onCreateFail.calledWith(match({ id: 1, error: createError })), 'createFail payload match');
+        t.ok(
+            onDisposeFail.calledWith(match({ id: 2, resource: res, error: disposeError })),
+            'disposeFail payload match',
+        );
+    });
+
+    group.test('acquireTimeout and queueFull', async (t) => {
+        const pool = new Pool({
+            acquire: cb => cb(null, {}),
+            dispose: (resource, cb) => cb(),
+            max: 1,
+            maxWaitingClients: 1,
+            acquireTimeoutMs: 10,
+        });
+        const onAcquireTimeout = spy();
+        const onQueueFull = spy();
+        pool.on('acquireTimeout', onAcquireTimeout);
+        pool.on('queueFull', onQueueFull);
+        await pool.acquire();
+        const timedOut = pool.acquire().catch(() => {});
+        await pool.acquire().catch(() => {});
+        await timedOut;
+        t.ok(onQueueFull.calledOnce, 'queueFull emitted once');
+        t.ok(onQueueFull.calledWith(match({ priority: 0, limit: 1 })), 'queueFull payload match');
+        t.ok(onAcquireTimeout.calledOnce, 'acquireTimeout emitted once');
+        t.ok(onAcquireTimeout.calledWith(match({ requestId: 2 })), 'acquireTimeout payload match');
+    });
+});
+
+function createTracer() {
+    const storage = new AsyncLocalStorage();
+    const spans = [];
+    return {
+        spans,
+        storage,
+        startSpan(name, options) {
+            const span = {
+                name,
+                attributes: Object.assign({}, options.attributes),
+                parent: storage.getStore() || null,
+                status: null,
+                exceptions: [],
+                ended: false,
+                setAttributes(attributes) {
+                    Object.assign(this.attributes, attributes);
+                },
+                recordException(err) {
+                    this.exceptions.push(err);
+                },
+                setStatus(status) {
+                    this.status = status;
+                },
+                end() {
+                    this.ended = true;
+                },
+            };
+            spans.push(span);
+            return span;
+        },
+        startActiveSpan(name, options, fn) {
+            const span = this.startSpan(name, options);
+            return storage.run(span, fn, span);
+        },
+    };
+}
+
+test('pool tracer option', (group) => {
+    group.test('acquire and factory spans', async (t) => {
+        const tracer = createTracer();
+        const factoryAcquire = spy(() => tracer.storage.getStore());
+        const pool = new Pool({
+            acquire: cb => setImmediate(cb, null, factoryAcquire()),
+            dispose: (resource, cb) => cb(),
+            name: 'db',
+            tracer,
+        });
+        const request = tracer.startSpan('request', {});
+        const res = await tracer.storage.run(request, () => pool.acquire());
+        const [acquireSpan, factorySpan] = tracer.spans.slice(1);
+        t.equal(acquireSpan.name, 'iampool.acquire', 'acquire span name');
+        t.equal(acquireSpan.parent, request, 'acquire span is a child of the caller span');
+        t.deepEqual(acquireSpan.attributes, {
+            'pool.name': 'db',
+            'pool.size': 0,
+            'pool.pending': 0,
+            'pool.resource.id': 1,
+        }, 'acquire span attributes');
+        t.ok(acquireSpan.ended, 'acquire span ended');
+        t.equal(factorySpan.name, 'iampool.factory.acquire', 'factory span name');
+        t.equal(factorySpan.parent, acquireSpan, 'factory span is a child of the acquire span');
+        t.equal(res, factorySpan, 'factory is called within the factory span');
+        t.ok(factorySpan.ended, 'factory span ended');
+        await pool.release(res);
+        await pool.end();
+        t.deepEqual(
+            tracer.spans.slice(3).map(span => span.name),
+            ['iampool.end', 'iampool.factory.dispose'],
+            'end and dispose spans',
+        );
+        t.ok(tracer.spans.slice(1).every(span => span.ended), 'all pool spans ended');
+    });
+
+    group.test('tryAcquire span', async (t) => {
+        const tracer = createTracer();
+        const pool = new Pool({
+            acquire: cb => cb(null, {}),
+            dispose: (resource, cb) => cb(),
+            tracer,
+        });
+        await pool.release(await pool.acquire());
+        const spans = tracer.spans.length;
+        pool.tryAcquire();
+        const [span] = tracer.spans.slice(spans);
+        t.equal(span.name, 'iampool.acquire', 'acquire span name');
+        t.equal(span.attributes['pool.resource.id'], 1, 'acquire span resource id');
+        t.ok(span.ended, 'acquire span ended');
+    });
+
+    group.test('failed acquire', async (t) => {
+        const tracer = createTracer();
+        const createError = new Error('create');
+        const pool = new Pool({
+            acquire: cb => cb(createError),
+            dispose: (resource, cb) => cb(),
+            tracer,
+        });
+        await pool.acquire().catch(() => {});
+        const [acquireSpan, factorySpan] = tracer.spans;
+        t.equal(factorySpan.exceptions[0], createError, 'factory span records the error');
+        t.equal(acquireSpan.exceptions[0].cause, createError, 'acquire span records the factory error');
+        t.equal(acquireSpan.status.code, 2, 'acquire span status is error');
+    });
+
+    group.test('tracer without startActiveSpan', async (t) => {
+        const tracer = createTracer();
+        delete tracer.startActiveSpan;
+        const pool = new Pool({
+            acquire: cb => cb(null, {}),
+            dispose: (resource, cb) => cb(),
+            tracer,
+        });
+        await pool.release(await pool.acquire());
+        t.deepEqual(
+            tracer.spans.map(span => span.name),
+            ['iampool.acquire', 'iampool.factory.acquire'],
+            'spans match',
+        );
+    });
+
+    group.test('invalid tracer', async (t) => {
+        t.throws(() => new Pool({
+            acquire: cb => cb(null, {}),
+            dispose: (resource, cb) => cb(),
+            tracer: {},
+        }), /options.tracer must have a startSpan method/, 'throws');
+    });
+});
+
+function asyncIterable(items) {
+    const iterator = {
+        next: () => Promise.resolve(items.length ? { value: items.shift(), done: false } : { done: true }),
+        return: spy(() => Promise.resolve({ done: true })),
+    };
+    return { iterator, [Symbol.asyncIterator]: () => iterator };
+}
+
+test('pool.map method', (group) => {
+    group.test('ordered results with concurrency bounded by max', async (t) => {
+        let counter = 0;
+        let running = 0;
+        let maxRunning = 0;
+        const pool = new Pool({
+            acquire: () => Promise.resolve(++counter),
+            dispose() {},
+            max: 2,
+        });
+        const results = await pool.map([30, 10, 20, 5], (delay, resource) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            return new Promise(resolve => setTimeout(() => {
+                running--;
+                resolve([delay, typeof resource]);
+            }, delay));
+        });
+        t.deepEqual(results, [[30, 'number'], [10, 'number'], [20, 'number'], [5, 'number']], 'results match');
+        t.equal(maxRunning, 2, 'max 2 items at once');
+        t.equal(pool.size, 2, 'size = 2');
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+
+    group.test('async iterable and unordered results', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 2,
+        });
+        const iterable = asyncIterable([20, 5]);
+        const results = await pool.map(
+            iterable,
+            delay => new Promise(resolve => setTimeout(resolve, delay, delay)),
+            { ordered: false },
+        );
+        t.deepEqual(results, [5, 20], 'results are in the order of completion');
+        t.ok(iterable.iterator.return.notCalled, 'iterator is not closed');
+    });
+
+    group.test('readable stream', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 2,
+        });
+        const results = await pool.map(Readable.from([1, 2, 3]), item => item * 2);
+        t.deepEqual(results, [2, 4, 6], 'results match');
+    });
+
+    group.test('callback', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+        const results = await new Promise((resolve, reject) => {
+            pool.map([1, 2], (item, resource, done) => done(null, item + 1), (err, res) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(res);
+                }
+            });
+        });
+        t.deepEqual(results, [2, 3], 'results match');
+    });
+
+    group.test('failure destroys the resource and stops iteration', async (t) => {
+        const dispose = spy();
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose,
+        });
+        const error = new Error('failed');
+        const iterable = asyncIterable([1, 2, 3]);
+        const fn = spy(item => (item === 2 ? Promise.reject(error) : item));
+        try {
+            await pool.map(iterable, fn);
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err, error, 'error match');
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        t.equal(fn.callCount, 2, 'iteration stopped');
+        t.ok(iterable.iterator.return.calledOnce, 'iterator closed');
+        t.ok(dispose.calledOnce, 'resource destroyed');
+        t.equal(pool.size, 0, 'size = 0');
+    });
+
+    group.test('empty iterable', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+        t.deepEqual(await pool.map([], () => {}), [], 'results are empty');
+    });
+});
+
+test('pool strategy option', (group) => {
+    async function borrowOrder(options) {
+        let counter = 0;
+        const pool = new Pool(Object.assign({
+            acquire: () => Promise.resolve(++counter),
+            dispose() {},
+            max: 3,
+        }, options));
+        const resources = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+        await Promise.all(resources.map(resource => pool.release(resource)));
+        // queued acquire calls are served in order
+        return Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+    }
+
+    group.test('lifo by default', async (t) => {
+        t.deepEqual(await borrowOrder(), [3, 2, 1], 'the most recently released first');
+    });
+
+    group.test('fifo', async (t) => {
+        t.deepEqual(await borrowOrder({ strategy: 'fifo' }), [1, 2, 3], 'the least recently released first');
+        t.deepEqual(await borrowOrder({ fifo: true }), [1, 2, 3], 'fifo option is the same');
+    });
+
+    group.test('least-used', async (t) => {
+        let counter = 0;
+        const pool = new Pool({
+            acquire: () => Promise.resolve(++counter),
+            dispose() {},
+            max: 2,
+            strategy: 'least-used',
+        });
+        const [res1, res2] = await Promise.all([pool.acquire(), pool.acquire()]);
+        await pool.release(res2);
+        await pool.release(await pool.acquire());
+        await pool.release(res1);
+        t.equal(await pool.acquire(), res1, 'the resource borrowed the fewest times first');
+    });
+
+    group.test('custom selector', async (t) => {
+        const order = await borrowOrder({ strategy: candidates => candidates.length - 1 });
+        t.deepEqual(order, [3, 2, 1], 'order match');
+    });
+
+    group.test('failing custom strategy', async (t) => {
+        const selectError = new Error('select error');
+        let select = () => -1;
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            strategy: candidates => select(candidates),
+        });
+        const res = await pool.acquire();
+        await pool.release(res);
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(/options.strategy must select one of the candidates/.test(err.message), 'invalid index error');
+        }
+        select = () => {
+            throw selectError;
+        };
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err, selectError, 'strategy error');
+        }
+        t.equal(pool.available, 1, 'resource stays available');
+        select = () => 0;
+        t.equal(await pool.acquire(), res, 'resource handed out once the strategy works');
+    });
+
+    group.test('invalid strategy', async (t) => {
+        t.throws(() => new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            strategy: 'mru',
+        }), /options.strategy must be/, 'throws');
+    });
+});
+
+test('pool affinity acquire options', (group) => {
+    function createPool(options) {
+        let counter = 0;
+        return new Pool(Object.assign({
+            acquire: () => Promise.resolve(++counter),
+            dispose() {},
+            max: 2,
+        }, options));
+    }
+
+    group.test('prefer', async (t) => {
+        const pool = createPool();
+        const [res1, res2] = await Promise.all([pool.acquire(), pool.acquire()]);
+        await pool.release(res1);
+        await pool.release(res2);
+        t.equal(await pool.acquire({ prefer: res1 }), res1, 'preferred resource handed out');
+        t.deepEqual(
+            pick(pool.metrics(), ['affinityHits', 'affinityMisses']),
+            { affinityHits: 1, affinityMisses: 0 },
+            'metrics match',
+        );
+    });
+
+    group.test('affinityKey', async (t) => {
+        const pool = createPool();
+        const [res1, res2] = await Promise.all([pool.acquire({ affinityKey: 'session' }), pool.acquire()]);
+        await pool.release(res1);
+        await pool.release(res2);
+        t.equal(await pool.acquire({ affinityKey: 'session' }), res1, 'associated resource handed out');
+        t.deepEqual(
+            pick(pool.metrics(), ['affinityHits', 'affinityMisses']),
+            { affinityHits: 1, affinityMisses: 1 },
+            'the first acquire of the key is a miss',
+        );
+    });
+
+    group.test('falls back if the preferred resource is borrowed', async (t) => {
+        const pool = createPool();
+        const res1 = await pool.acquire({ affinityKey: 'session' });
+        const res2 = await pool.acquire({ affinityKey: 'session' });
+        t.notEqual(res2, res1, 'another resource handed out');
+        await pool.release(res2);
+        await pool.release(res1);
+        t.equal(await pool.acquire({ affinityKey: 'session' }), res2, 'key is associated with the last resource');
+    });
+
+    group.test('affinityWaitMs', async (t) => {
+        const pool = createPool();
+        const [res1, res2] = await Promise.all([pool.acquire(), pool.acquire()]);
+        await pool.release(res2);
+        setTimeout(() => pool.release(res1), 10);
+        t.equal(
+            await pool.acquire({ prefer: res1, affinityWaitMs: 100 }),
+            res1,
+            'waits for the preferred resource to be released',
+        );
+        t.equal(
+            await pool.acquire({ prefer: res1, affinityWaitMs: 10 }),
+            res2,
+            'falls back once affinityWaitMs has passed',
+        );
+        t.deepEqual(
+            pick(pool.metrics(), ['affinityHits', 'affinityMisses']),
+            { affinityHits: 1, affinityMisses: 1 },
+            'metrics match',
+        );
+    });
+
+    group.test('destroyed resource', async (t) => {
+        const pool = createPool();
+        const res1 = await pool.acquire({ affinityKey: 'session' });
+        const waiting = pool.acquire({ prefer: res1, affinityWaitMs: 1000 });
+        await pool.destroy(res1);
+        t.notEqual(await waiting, res1, 'waiting acquire falls back once the resource is destroyed');
+        const res3 = await pool.acquire({ affinityKey: 'session' });
+        t.ok(res3 !== res1, 'association removed');
+    });
+
+    group.test('maxAffinityKeys', async (t) => {
+        const pool = createPool({ max: 1, maxAffinityKeys: 2 });
+        const res = await pool.acquire({ affinityKey: 'a' });
+        await pool.release(res);
+        await pool.release(await pool.acquire({ affinityKey: 'b' }));
+        await pool.release(await pool.acquire({ affinityKey: 'a' }));
+        await pool.release(await pool.acquire({ affinityKey: 'c' }));
+        t.deepEqual(Array.from(pool._affinity.keys()), ['a', 'c'], 'least recently used key forgotten');
+        t.deepEqual(Array.from(pool._rMeta.get(res).affinityKeys), ['a', 'c'], 'resource keys match');
+
+        const borrow = key => pool.acquire({ affinityKey: key }).then(r => pool.release(r));
+        const keys = Array.from({ length: 100 }, (v, i) => i);
+        await keys.reduce((p, key) => p.then(() => borrow(key)), Promise.resolve());
+        t.equal(pool._affinity.size, 2, 'number of keys stays bounded');
+    });
+});
+
+test('pool per-call acquire options', (group) => {
+    function createPool(options) {
+        let counter = 0;
+        return new Pool(Object.assign({
+            acquire: () => Promise.resolve(++counter),
+            dispose() {},
+            max: 1,
+        }, options));
+    }
+
+    group.test('timeoutMs', async (t) => {
+        const pool = createPool({ acquireTimeoutMs: 10000 });
+        await pool.acquire();
+        const startedAt = Date.now();
+        try {
+            await pool.acquire({ timeoutMs: 10 });
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.AcquireTimeoutError, 'error is AcquireTimeoutError');
+            t.equal(err.timeoutMs, 10, 'error timeoutMs match');
+        }
+        t.ok(Date.now() - startedAt < 1000, 'timed out early');
+        t.equal(pool.pending, 0, 'pending = 0');
+    });
+
+    group.test('noWait', async (t) => {
+        const pool = createPool();
+        const res = await pool.acquire({ noWait: true });
+        t.equal(res, 1, 'resource created for noWait call');
+        try {
+            await pool.acquire({ noWait: true });
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolExhaustedError, 'error is PoolExhaustedError');
+            t.equal(err.code, 'ERR_POOL_EXHAUSTED', 'error code match');
+        }
+        t.equal(pool.pending, 0, 'call is not queued');
+        await pool.release(res);
+        t.equal(await pool.acquire({ noWait: true }), res, 'available resource handed out');
+    });
+
+    group.test('tryAcquire', async (t) => {
+        const pool = createPool();
+        t.equal(pool.tryAcquire(), null, 'null if there are no available resources');
+        t.equal(pool.size, 0, 'no resource created');
+        const res = await pool.acquire();
+        t.equal(pool.tryAcquire(), null, 'null if all resources are borrowed');
+        await pool.release(res);
+        const acquireRequest = spy();
+        const acquire = spy();
+        pool.on('acquireRequest', acquireRequest);
+        pool.on('acquire', acquire);
+        t.equal(pool.tryAcquire(), res, 'available resource returned synchronously');
+        t.equal(pool.borrowed, 1, 'borrowed = 1');
+        t.ok(acquireRequest.calledOnce, 'acquireRequest event emitted');
+        t.ok(acquire.calledOnce, 'acquire event emitted');
+        const { requestId } = acquireRequest.firstCall.args[0];
+        t.deepEqual(
+            pick(acquire.firstCall.args[0], ['requestId', 'resource', 'waitMs']),
+            { requestId, resource: res, waitMs: 0 },
+            'acquire event payload match',
+        );
+        t.equal(pool.metrics().acquireWaitMs.count, 2, 'acquireWaitMs observed');
+        const queued = pool.acquire();
+        await pool.release(res);
+        t.equal(pool.tryAcquire(), null, 'null if other acquire calls are waiting');
+        t.equal(await queued, res, 'queued call served');
+    });
+
+    group.test('tryAcquire from an acquire callback', async (t) => {
+        const pool = createPool({ max: 2 });
+        const resources = await Promise.all([pool.acquire(), pool.acquire()]);
+        await Promise.all(resources.map(resource => pool.release(resource)));
+        const inner = await new Promise((resolve) => {
+            pool.acquire(() => resolve(pool.tryAcquire()));
+        });
+        t.ok(resources.includes(inner), 'available resource returned');
+        t.deepEqual(
+            pick(pool, ['available', 'borrowed', 'pending']),
+            { available: 0, borrowed: 2, pending: 0 },
+            'state match',
+        );
+    });
+
+    group.test('tryAcquire takes a slot of the queue', async (t) => {
+        const pool = createPool({ max: 2 });
+        await Promise.all((await Promise.all([pool.acquire(), pool.acquire()])).map(res => pool.release(res)));
+        const res1 = pool.tryAcquire();
+        const res2 = await pool.acquire();
+        const queued = pool.acquire();
+        await new Promise(resolve => setImmediate(resolve));
+        t.equal(pool.pending, 1, 'acquire call queued while the resources are borrowed');
+        await pool.release(res1);
+        t.equal(await queued, res1, 'queued call served once the resource is released');
+        await pool.release(res1);
+        await pool.release(res2);
+        const { acquireWaitMs, borrowDurationMs } = pool.metrics();
+        t.equal(acquireWaitMs.count, borrowDurationMs.count, 'every borrow is counted by both histograms');
+    });
+
+    group.test('end waits for a resource taken by tryAcquire', async (t) => {
+        const pool = createPool();
+        await pool.release(await pool.acquire());
+        const res = pool.tryAcquire();
+        const ended = spy();
+        const end = pool.end().then(ended);
+        await new Promise(resolve => setImmediate(resolve));
+        t.ok(ended.notCalled, 'end waits');
+        await pool.release(res);
+        await end;
+        t.ok(ended.calledOnce, 'end resolved once the resource is released');
+    });
+
+    group.test('tryAcquire options', async (t) => {
+        const pool = createPool({ max: 2, wrapResources: true });
+        const [lease1, lease2] = await Promise.all([pool.acquire(), pool.acquire()]);
+        const res1 = lease1.resource;
+        await lease1.release();
+        await lease2.release();
+        const lease = pool.tryAcquire({ prefer: res1 });
+        t.ok(lease instanceof Pool.Lease, 'lease returned');
+        t.equal(lease.resource, res1, 'preferred resource returned');
+        t.equal(pool.metrics().affinityHits, 1, 'affinity hit counted');
+    });
+});
+
+test('pool load shedding options', (group) => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    group.test('maxQueueWaitMs', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            maxQueueWaitMs: 20,
+        });
+        t.equal(pool.stats.queueAge, 0, 'queueAge = 0 if the queue is empty');
+        const res = await pool.acquire();
+        const queued = pool.acquire();
+        await delay(30);
+        t.ok(pool.stats.queueAge >= 20, 'queueAge of the oldest waiter');
+        const onLoadShed = spy();
+        pool.on('loadShed', onLoadShed);
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolOverloadedError, 'error is PoolOverloadedError');
+            t.equal(err.code, 'ERR_POOL_OVERLOADED', 'error code match');
+            t.ok(err.queueAge >= 20, 'error queueAge match');
+        }
+        t.ok(onLoadShed.calledOnce, 'loadShed event emitted');
+        t.equal(pool.metrics().loadShed, 1, 'loadShed counted');
+        await pool.release(res);
+        await pool.release(await queued);
+        t.equal(await pool.acquire(), res, 'acquire accepted once the queue has drained');
+    });
+
+    group.test('queueWaitIntervalMs', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            maxWaitingClients: 5,
+            maxQueueWaitMs: 10,
+            queueWaitIntervalMs: 40,
+        });
+        const res = await pool.acquire();
+        const queued = [pool.acquire()];
+        await delay(20);
+        queued.push(pool.acquire());
+        t.equal(pool.pending, 2, 'accepted while the queue has been slow for less than the interval');
+        await delay(40);
+        try {
+            await pool.acquire();
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolOverloadedError, 'rejected once the queue has been slow for the interval');
+        }
+        await pool.release(res);
+        await Promise.all(queued.map(p => p.then(r => pool.release(r))));
+    });
+});
+
+test('pool creation throttling options', (group) => {
+    function createFactory(delay) {
+        const factory = {
+            running: 0,
+            maxRunning: 0,
+            calledAt: [],
+            counter: 0,
+            acquire() {
+                factory.running++;
+                factory.maxRunning = Math.max(factory.maxRunning, factory.running);
+                factory.calledAt.push(Date.now());
+                return new Promise(resolve => setTimeout(() => {
+                    factory.running--;
+                    resolve(++factory.counter);
+                }, delay));
+            },
+        };
+        return factory;
+    }
+
+    group.test('maxConcurrentCreates', async (t) => {
+        const factory = createFactory(10);
+        const pool = new Pool({
+            acquire: () => factory.acquire(),
+            dispose() {},
+            max: 5,
+            maxConcurrentCreates: 2,
+        });
+        const acquired = Promise.all([1, 2, 3, 4, 5].map(() => pool.acquire()));
+        await new Promise(resolve => setImmediate(resolve));
+        t.equal(pool.stats.pendingCreates, 2, 'pendingCreates = 2');
+        t.deepEqual((await acquired).sort(), [1, 2, 3, 4, 5], 'all acquire calls served');
+        t.equal(factory.maxRunning, 2, 'max 2 creations at once');
+        t.equal(pool.stats.pendingCreates, 0, 'pendingCreates = 0');
+    });
+
+    group.test('throttled request takes a released resource', async (t) => {
+        const factory = createFactory(50);
+        const pool = new Pool({
+            acquire: () => factory.acquire(),
+            dispose() {},
+            max: 3,
+            maxConcurrentCreates: 1,
+        });
+        const res1 = await pool.acquire();
+        const creating = pool.acquire();
+        const throttled = pool.acquire();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await pool.release(res1);
+        t.equal(await throttled, res1, 'released resource handed out');
+        t.equal(await creating, 2, 'created resource handed out');
+        t.equal(factory.counter, 2, 'factory called twice');
+    });
+
+    group.test('noWait fails fast while creation is throttled', async (t) => {
+        const factory = createFactory(50);
+        const pool = new Pool({
+            acquire: () => factory.acquire(),
+            dispose() {},
+            max: 3,
+            maxConcurrentCreates: 1,
+        });
+        const creating = pool.acquire();
+        await new Promise(resolve => setImmediate(resolve));
+        try {
+            await pool.acquire({ noWait: true });
+            t.fail('should throw error');
+        } catch (err) {
+            t.ok(err instanceof Pool.PoolExhaustedError, 'error is PoolExhaustedError');
+        }
+        t.equal(pool.tryAcquire(), null, 'tryAcquire yields null');
+        t.equal(await creating, 1, 'created resource handed out');
+        t.equal(factory.counter, 1, 'factory called once');
+    });
+
+    group.test('maxCreateRate', async (t) => {
+        const factory = createFactory(0);
+        const pool = new Pool({
+            acquire: () => factory.acquire(),
+            dispose() {},
+            max: 3,
+            maxCreateRate: 50,
+        });
+        await Promise.all([pool.acquire(), pool.acquire(), pool.acquire()]);
+        const [first, second, third] = factory.calledAt;
+        t.ok(second - first >= 15, 'second creation is delayed');
+        t.ok(third - second >= 15, 'third creation is delayed');
+    });
+
+    group.test('min resources are created within the limits', async (t) => {
+        const factory = createFactory(5);
+        const pool = new Pool({
+            acquire: () => factory.acquire(),
+            dispose() {},
+            min: 3,
+            max: 3,
+            maxConcurrentCreates: 1,
+        });
+        await pool.ready();
+        t.equal(pool.size, 3, 'size = 3');
+        t.equal(factory.maxRunning, 1, 'one creation at once');
     });
 });
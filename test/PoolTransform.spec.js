@@ -0,0 +1,85 @@
+const test = require('tape-async');
+const Pool = require('../lib/Pool');
+const { spy } = require('sinon');
+const { Readable, Writable, pipeline } = require('stream');
+
+function run(items, transform) {
+    const results = [];
+    return new Promise((resolve, reject) => {
+        pipeline(
+            Readable.from(items),
+            transform,
+            new Writable({
+                objectMode: true,
+                write(chunk, encoding, cb) {
+                    results.push(chunk);
+                    cb();
+                },
+            }),
+            err => (err ? reject(err) : resolve(results)),
+        );
+    });
+}
+
+test('pool transform', (group) => {
+    group.test('ordered results', async (t) => {
+        let running = 0;
+        let maxRunning = 0;
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 2,
+        });
+        const transform = pool.transform((delay) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            return new Promise(resolve => setTimeout(() => {
+                running--;
+                resolve(delay);
+            }, delay));
+        });
+        t.deepEqual(await run([30, 10, 20, 5], transform), [30, 10, 20, 5], 'results match');
+        t.equal(maxRunning, 2, 'max 2 items at once');
+        t.equal(pool.borrowed, 0, 'borrowed = 0');
+    });
+
+    group.test('unordered results', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            max: 2,
+        });
+        const transform = pool.transform(
+            delay => new Promise(resolve => setTimeout(resolve, delay, delay)),
+            { ordered: false },
+        );
+        t.deepEqual(await run([20, 5], transform), [5, 20], 'results are in the order of completion');
+    });
+
+    group.test('null results are not pushed', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+        const transform = pool.transform(item => (item % 2 ? item : null));
+        t.deepEqual(await run([1, 2, 3], transform), [1, 3], 'results match');
+    });
+
+    group.test('failure destroys the resource and the stream', async (t) => {
+        const dispose = spy();
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose,
+        });
+        const error = new Error('failed');
+        const transform = pool.transform((item, resource, done) => done(item === 2 ? error : null, item));
+        try {
+            await run([1, 2, 3], transform);
+            t.fail('should throw error');
+        } catch (err) {
+            t.equal(err, error, 'error match');
+        }
+        t.ok(transform.destroyed, 'stream destroyed');
+        t.ok(dispose.calledOnce, 'resource destroyed');
+    });
+});
@@ -0,0 +1,70 @@
+const test = require('tape-async');
+const Pool = require('../lib/Pool');
+
+const { PrometheusExporter } = Pool;
+
+test('prometheus exporter', (group) => {
+    group.test('render', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+        const exporter = new PrometheusExporter({ labels: { service: 'api' } }).register(pool, { pool: 'db' });
+
+        await pool.release(await pool.acquire());
+        const text = exporter.render();
+        t.ok(text.includes('# TYPE iampool_size gauge\n'), 'gauge type');
+        t.ok(text.includes('iampool_size{service="api",pool="db"} 1\n'), 'gauge value');
+        t.ok(text.includes('iampool_pending_creates{service="api",pool="db"} 0\n'), 'pending creates gauge');
+        t.ok(text.includes('# TYPE iampool_created_total counter\n'), 'counter type');
+        t.ok(text.includes('iampool_created_total{service="api",pool="db"} 1\n'), 'counter value');
+        t.ok(text.includes('# TYPE iampool_acquire_wait_seconds histogram\n'), 'histogram type');
+        t.ok(
+            text.includes('iampool_acquire_wait_seconds_bucket{service="api",pool="db",le="+Inf"} 1\n'),
+            'histogram +Inf bucket',
+        );
+        t.ok(text.includes('iampool_borrow_duration_seconds_count{service="api",pool="db"} 1\n'), 'histogram count');
+        t.ok(text.endsWith('\n'), 'ends with new line');
+    });
+
+    group.test('queue age in seconds', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+        });
+        const exporter = new PrometheusExporter().register(pool);
+
+        t.ok(exporter.render().includes('# TYPE iampool_queue_age_seconds gauge\n'), 'gauge type');
+        const res = await pool.acquire();
+        const queued = pool.acquire();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const [, value] = exporter.render().match(/^iampool_queue_age_seconds (\S+)$/m);
+        t.ok(value >= 0.019 && value < 1, 'gauge value in seconds');
+        await pool.release(res);
+        await pool.release(await queued);
+    });
+
+    group.test('multiple pools', async (t) => {
+        const options = { acquire: () => Promise.resolve({}), dispose() {} };
+        const pool1 = new Pool(options);
+        const pool2 = new Pool(options);
+        const exporter = new PrometheusExporter({ prefix: 'app_pool' })
+            .register(pool1, { pool: 'one' })
+            .register(pool2, { pool: 'two' });
+
+        await pool1.acquire();
+        let text = exporter.render();
+        t.ok(text.includes('app_pool_borrowed{pool="one"} 1\n'), 'pool one metric');
+        t.ok(text.includes('app_pool_borrowed{pool="two"} 0\n'), 'pool two metric');
+        exporter.unregister(pool2);
+        text = exporter.render();
+        t.notOk(text.includes('pool="two"'), 'pool two unregistered');
+    });
+
+    group.test('label values are escaped', async (t) => {
+        const pool = new Pool({ acquire: () => Promise.resolve({}), dispose() {} });
+        const exporter = new PrometheusExporter().register(pool, { pool: 'a"b\\c\nd' });
+
+        t.ok(exporter.render().includes('iampool_size{pool="a\\"b\\\\c\\nd"} 0\n'), 'label value escaped');
+    });
+});
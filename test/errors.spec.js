@@ -0,0 +1,116 @@
+const test = require('tape-async');
+const Pool = require('../lib/Pool');
+
+const {
+    PoolError,
+    PoolEndedError,
+    QueueFullError,
+    AcquireTimeoutError,
+    ReleaseTimeoutError,
+    NotBorrowedError,
+    FactoryError,
+} = Pool;
+
+async function catchError(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    throw new Error('should throw error');
+}
+
+test('pool errors', (group) => {
+    group.test('PoolEndedError', async (t) => {
+        const pool = new Pool({ acquire: () => Promise.resolve({}), dispose() {} });
+
+        const res = await pool.acquire();
+        const end = pool.end();
+        const ending = await catchError(pool.acquire());
+        t.ok(ending instanceof PoolEndedError, 'acquire while ending yields PoolEndedError');
+        t.ok(ending instanceof PoolError, 'PoolEndedError is PoolError');
+        t.equal(ending.code, 'ERR_POOL_ENDED', 'error code match');
+        t.equal(ending.message, 'Pool is ending', 'error message match');
+        await pool.release(res);
+        await end;
+        const ended = await catchError(pool.acquire());
+        t.equal(ended.code, 'ERR_POOL_ENDED', 'error code match');
+        t.equal(ended.message, 'Pool is destroyed', 'error message match');
+        const endedTwice = await catchError(pool.end());
+        t.ok(endedTwice instanceof PoolEndedError, 'end after end yields PoolEndedError');
+    });
+
+    group.test('QueueFullError', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose() {},
+            maxWaitingClients: 1,
+        });
+
+        const res = await pool.acquire();
+        const pending = pool.acquire();
+        const err = await catchError(pool.acquire());
+        t.ok(err instanceof QueueFullError, 'error is QueueFullError');
+        t.equal(err.code, 'ERR_POOL_QUEUE_FULL', 'error code match');
+        t.equal(err.limit, 1, 'error limit match');
+        await pool.release(res);
+        await pool.release(await pending);
+    });
+
+    group.test('AcquireTimeoutError', async (t) => {
+        const pool = new Pool({
+            acquire: cb => setTimeout(cb, 15, null, {}),
+            dispose() {},
+            acquireTimeoutMs: 10,
+        });
+
+        const err = await catchError(pool.acquire());
+        t.ok(err instanceof AcquireTimeoutError, 'error is AcquireTimeoutError');
+        t.equal(err.code, 'ETIMEDOUT', 'error code match');
+        t.equal(err.timeoutMs, 10, 'error timeoutMs match');
+    });
+
+    group.test('ReleaseTimeoutError', async (t) => {
+        const pool = new Pool({
+            acquire: () => Promise.resolve({}),
+            dispose: (resource, cb) => setTimeout(cb, 15),
+            releaseTimeoutMs: 10,
+            maxUses: 1,
+        });
+
+        const err = await catchError(pool.release(await pool.acquire()));
+        t.ok(err instanceof ReleaseTimeoutError, 'error is ReleaseTimeoutError');
+        t.equal(err.code, 'ETIMEDOUT', 'error code match');
+        t.equal(err.timeoutMs, 10, 'error timeoutMs match');
+    });
+
+    group.test('NotBorrowedError', async (t) => {
+        const pool = new Pool({ acquire: () => Promise.resolve({}), dispose() {} });
+        const resource = { id: 1 };
+
+        const err = await catchError(pool.release(resource));
+        t.ok(err instanceof NotBorrowedError, 'error is NotBorrowedError');
+        t.equal(err.code, 'ERR_POOL_NOT_BORROWED', 'error code match');
+        t.equal(err.resource, resource, 'error resource match');
+    });
+
+    group.test('FactoryError', async (t) => {
+        const createError = new Error('create error');
+        const disposeError = new Error('dispose error');
+        let fail = true;
+        const pool = new Pool({
+            acquire: () => (fail ? Promise.reject(createError) : Promise.resolve({})),
+            dispose: () => Promise.reject(disposeError),
+        });
+
+        const acquireErr = await catchError(pool.acquire());
+        t.ok(acquireErr instanceof FactoryError, 'error is FactoryError');
+        t.equal(acquireErr.code, 'ERR_POOL_FACTORY', 'error code match');
+        t.equal(acquireErr.operation, 'acquire', 'error operation match');
+        t.equal(acquireErr.cause, createError, 'error cause match');
+        fail = false;
+        const disposeErr = await catchError(pool.destroy(await pool.acquire()));
+        t.equal(disposeErr.operation, 'dispose', 'error operation match');
+        t.equal(disposeErr.cause, disposeError, 'error cause match');
+    });
+});
@@ -4,5 +4,6 @@ const m = require('..');
 test('module', (t) => {
     t.equal(typeof m, 'function', 'module exports object');
     t.equal(m.name, 'Pool', 'module exports Pool class');
+    t.equal(typeof m.PoolError, 'function', 'module exports PoolError class');
     t.end();
 });
@@ -0,0 +1,60 @@
+const test = require('tape');
+const { spy } = require('sinon');
+const { AsyncLocalStorage } = require('async_hooks');
+const { startSpan, endSpan, bindScope } = require('../lib/tracing');
+
+function createSpan() {
+    return {
+        setAttributes: spy(),
+        recordException: spy(),
+        setStatus: spy(),
+        end: spy(),
+    };
+}
+
+test('startSpan uses startActiveSpan when available', (t) => {
+    const span = createSpan();
+    const tracer = {
+        startSpan: spy(),
+        startActiveSpan: spy((name, options, fn) => fn(span)),
+    };
+    const result = startSpan(tracer, 'span', { a: 1 }, s => s);
+    t.equal(result, span, 'returns the value of fn');
+    t.ok(tracer.startActiveSpan.calledWith('span', { attributes: { a: 1 } }), 'startActiveSpan called');
+    t.ok(tracer.startSpan.notCalled, 'startSpan not called');
+    t.end();
+});
+
+test('startSpan falls back to startSpan', (t) => {
+    const span = createSpan();
+    const tracer = { startSpan: spy(() => span) };
+    const result = startSpan(tracer, 'span', { a: 1 }, s => s);
+    t.equal(result, span, 'returns the value of fn');
+    t.ok(tracer.startSpan.calledWith('span', { attributes: { a: 1 } }), 'startSpan called');
+    t.end();
+});
+
+test('endSpan', (t) => {
+    const span = createSpan();
+    endSpan(span, null, { a: 1 });
+    t.ok(span.setAttributes.calledWith({ a: 1 }), 'attributes set');
+    t.ok(span.setStatus.notCalled, 'status not set');
+    t.ok(span.end.calledOnce, 'span ended');
+
+    const failedSpan = createSpan();
+    const err = new Error('failed');
+    endSpan(failedSpan, err);
+    t.ok(failedSpan.recordException.calledWith(err), 'exception recorded');
+    t.ok(failedSpan.setStatus.calledWith({ code: 2, message: 'failed' }), 'error status set');
+    t.ok(failedSpan.end.calledOnce, 'failed span ended');
+    t.end();
+});
+
+test('bindScope', (t) => {
+    const storage = new AsyncLocalStorage();
+    const bound = storage.run('caller', () => bindScope((a, b) => [storage.getStore(), a, b]));
+    storage.run('other', () => {
+        t.deepEqual(bound(1, 2), ['caller', 1, 2], 'called in the bound context with arguments');
+    });
+    t.end();
+});